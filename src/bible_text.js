@@ -0,0 +1,256 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { log } from './log.js';
+import { expandRangeVerses } from './references.js';
+
+// USFM book codes of the Catholic canon and their OSIS ids
+const USFM_BOOKS = {
+    GEN: 'Gen', EXO: 'Exod', LEV: 'Lev', NUM: 'Num', DEU: 'Deut', JOS: 'Josh', JDG: 'Judg', RUT: 'Ruth',
+    '1SA': '1Sam', '2SA': '2Sam', '1KI': '1Kgs', '2KI': '2Kgs', '1CH': '1Chr', '2CH': '2Chr', EZR: 'Ezra',
+    NEH: 'Neh', TOB: 'Tob', JDT: 'Jdt', EST: 'Esth', ESG: 'Esth', '1MA': '1Macc', '2MA': '2Macc', JOB: 'Job',
+    PSA: 'Ps', PRO: 'Prov', ECC: 'Eccl', SNG: 'Song', WIS: 'Wis', SIR: 'Sir', ISA: 'Isa', JER: 'Jer',
+    LAM: 'Lam', BAR: 'Bar', EZK: 'Ezek', DAN: 'Dan', DAG: 'Dan', HOS: 'Hos', JOL: 'Joel', AMO: 'Amos',
+    OBA: 'Obad', JON: 'Jonah', MIC: 'Mic', NAM: 'Nah', HAB: 'Hab', ZEP: 'Zeph', HAG: 'Hag', ZEC: 'Zech',
+    MAL: 'Mal', MAT: 'Matt', MRK: 'Mark', LUK: 'Luke', JHN: 'John', ACT: 'Acts', ROM: 'Rom', '1CO': '1Cor',
+    '2CO': '2Cor', GAL: 'Gal', EPH: 'Eph', PHP: 'Phil', COL: 'Col', '1TH': '1Thess', '2TH': '2Thess',
+    '1TI': '1Tim', '2TI': '2Tim', TIT: 'Titus', PHM: 'Phlm', HEB: 'Heb', JAS: 'Jas', '1PE': '1Pet',
+    '2PE': '2Pet', '1JN': '1John', '2JN': '2John', '3JN': '3John', JUD: 'Jude', REV: 'Rev'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+        }
+        return XML_ENTITIES[name] ?? entity;
+    });
+}
+
+function normalizeSpace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// The text of an OSIS fragment, without notes, titles and markup
+function getOsisText(fragment) {
+    return normalizeSpace(decodeXmlEntities(fragment
+        .replace(/<note\b[^>]*\/>|<note\b[\s\S]*?<\/note>/g, '')
+        .replace(/<title\b[\s\S]*?<\/title>/g, '')
+        .replace(/<\/?(?:divineName|hi|w|transChange|foreign|name|seg|q)\b[^>]*>/g, '') // Markup within words
+        .replace(/<[^>]+>/g, ' ')));
+}
+
+/**
+ * Reads the verses of an OSIS XML document, with verses either as containers
+ * (<verse osisID="Gen.1.1">…</verse>) or as milestones (<verse sID="…" osisID="Gen.1.1"/>…<verse eID="…"/>)
+ * @param {string} xml - The document
+ * @returns {Map<string, string>} - Text by OSIS verse id
+ */
+export function parseOsisXml(xml) {
+    const verses = new Map();
+    const addVerse = (osisIds, fragment) => {
+        // A verse element may stand for several verses ("Gen.1.1 Gen.1.2"); the first one gets the text
+        const [first, ...others] = osisIds.trim().split(/\s+/);
+        verses.set(first, getOsisText(fragment));
+        others.forEach(osisId => verses.set(osisId, ''));
+    };
+
+    const getAttribute = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]+)"`))?.[1] ?? null;
+
+    for (const match of xml.matchAll(/<verse\b[^>]*\/>/g)) {
+        const startId = getAttribute(match[0], 'sID');
+        const osisIds = getAttribute(match[0], 'osisID');
+        if (!startId || !osisIds) continue;
+
+        const start = match.index + match[0].length;
+        const end = xml.indexOf(`eID="${startId}"`, start);
+        if (end !== -1) addVerse(osisIds, xml.slice(start, xml.lastIndexOf('<verse', end)));
+    }
+    for (const match of xml.matchAll(/<verse\b(?![^>]*\b[se]ID=)[^>]*\bosisID="([^"]+)"[^>]*>([\s\S]*?)<\/verse>/g)) {
+        addVerse(match[1], match[2]);
+    }
+
+    return verses;
+}
+
+/**
+ * Reads the verses of USFM books (\id, \c and \v markers), without footnotes and cross-references
+ * @param {string} usfm - One or more books
+ * @returns {Map<string, string>} - Text by OSIS verse id
+ */
+export function parseUsfm(usfm) {
+    const verses = new Map();
+    let book = null;
+    let chapter = null;
+    let current = null;
+
+    const text = usfm
+        .replace(/\\(f|fe|x)\s[\s\S]*?\\\1\*/g, '') // Footnotes, endnotes and cross-references
+        .replace(/\\\+?w\s([^|\\]*)(?:\|[^\\]*)?\\\+?w\*/g, '$1'); // Word attributes
+
+    for (const [, marker, rest] of text.matchAll(/\\([a-z]+\d*\*?)\s*([^\\]*)/g)) {
+        if (marker === 'id') {
+            book = USFM_BOOKS[rest.trim().slice(0, 3).toUpperCase()] || null;
+            current = null;
+        } else if (marker === 'c') {
+            chapter = parseInt(rest);
+            current = null;
+        } else if (marker === 'v') {
+            const match = rest.match(/^(\d+)(?:-(\d+))?[a-z]?\s*([\s\S]*)$/);
+            if (!book || !chapter || !match) continue;
+            current = `${book}.${chapter}.${match[1]}`;
+            verses.set(current, match[3]);
+            // A verse bridge ("\v 1-2") gives its text to the first verse
+            for (let verse = parseInt(match[1]) + 1; verse <= parseInt(match[2] || 0); verse++) {
+                verses.set(`${book}.${chapter}.${verse}`, '');
+            }
+        } else if (current && !/^(?:s|ms|mr|r|d|h|toc|mt|cl|sp)\d*$/.test(marker)) {
+            // Paragraph, poetry and character markers inside a verse; headings are left out
+            verses.set(current, `${verses.get(current)} ${rest}`);
+        }
+    }
+
+    for (const [osisId, verseText] of verses) {
+        verses.set(osisId, normalizeSpace(verseText));
+    }
+    return verses;
+}
+
+/**
+ * Reads a JSON verse map: {"Gen.1.1": "In the beginning…", "Ps.122.4!a": "…"}. Keys with
+ * "!" and letters hold the parts of a verse that the lectionary reads separately.
+ * @param {string} json - The document
+ * @returns {Map<string, string>} - Text by OSIS verse id
+ */
+export function parseJsonVerses(json) {
+    return new Map(Object.entries(JSON.parse(json)));
+}
+
+// Source formats, with the parser of their contents and the file extensions they are recognized by
+export const TEXT_FORMATS = {
+    osis: { parse: parseOsisXml, extensions: ['.xml', '.osis'] },
+    usfm: { parse: parseUsfm, extensions: ['.usfm', '.sfm'] },
+    json: { parse: parseJsonVerses, extensions: ['.json'] }
+};
+
+function detectFormat(sourcePath, isDirectory) {
+    if (isDirectory) return 'usfm';
+    const extension = path.extname(sourcePath).toLowerCase();
+    const format = Object.keys(TEXT_FORMATS).find(name => TEXT_FORMATS[name].extensions.includes(extension));
+    if (!format) {
+        throw new Error(`Cannot tell the format of ${sourcePath} from its extension (use one of ${Object.keys(TEXT_FORMATS).join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Loads a Bible text from a local file, or a directory of USFM books, as a text provider.
+ * A provider is any object with getVerse(osisId) returning the text of a verse ("Gen.1.1")
+ * or of a part of a verse ("Ps.122.4!a"), or null if the source does not have it.
+ * @param {string} sourcePath - File or directory
+ * @param {string} [format] - "osis", "usfm" or "json" (defaults to the format of the extension)
+ * @returns {{name: string, format: string, getVerse: Function}}
+ */
+export function loadTextProvider(sourcePath, format = null) {
+    const isDirectory = fs.statSync(sourcePath).isDirectory();
+    const sourceFormat = format || detectFormat(sourcePath, isDirectory);
+    if (!TEXT_FORMATS[sourceFormat]) {
+        throw new Error(`Unknown Bible text format "${sourceFormat}" (expected one of ${Object.keys(TEXT_FORMATS).join(', ')})`);
+    }
+
+    const files = isDirectory
+        ? fs.readdirSync(sourcePath).filter(file => TEXT_FORMATS[sourceFormat].extensions.includes(path.extname(file).toLowerCase())).sort().map(file => path.join(sourcePath, file))
+        : [sourcePath];
+
+    const verses = new Map();
+    for (const file of files) {
+        for (const [osisId, text] of TEXT_FORMATS[sourceFormat].parse(fs.readFileSync(file, 'utf-8'))) {
+            verses.set(osisId, text);
+        }
+    }
+    log(`Loaded ${verses.size} verses from ${sourcePath} (${sourceFormat})`);
+
+    return {
+        name: path.basename(sourcePath),
+        format: sourceFormat,
+        getVerse: osisId => verses.get(osisId) ?? null
+    };
+}
+
+// Letters of the parts of a verse that a range reads: from "b" for "4b-…", up to "a" for "…-4a"
+function getPartLetters(from, to) {
+    const first = from ? from.charCodeAt(0) : 'a'.charCodeAt(0);
+    const last = to ? to.charCodeAt(to.length - 1) : 'z'.charCodeAt(0);
+    const letters = [];
+    for (let code = first; code <= last; code++) letters.push(String.fromCharCode(code));
+    return letters;
+}
+
+// Text of a verse read in part: the parts the source has for it, or else the whole verse
+function getPartialVerse(provider, osisId, from, to) {
+    const parts = getPartLetters(from, to).map(letter => provider.getVerse(`${osisId}!${letter}`));
+    const found = parts.filter(part => part !== null);
+    if (found.length > 0) {
+        return { text: found.join(' '), whole: false };
+    }
+    return { text: provider.getVerse(osisId), whole: true };
+}
+
+// Whether a verse directly follows another one, or is the same verse read in another part
+function isContinuation(previous, next) {
+    const [previousBook, previousChapter, previousVerse] = previous.split('.');
+    const [book, chapter, verse] = next.split('.');
+    if (book !== previousBook) return false;
+    if (chapter === previousChapter) return verse - previousVerse <= 1 && verse - previousVerse >= 0;
+    return chapter - previousChapter === 1 && Number(verse) === 1;
+}
+
+/**
+ * Resolves the ranges of a reading option to text. Verses read in part take the parts the
+ * source has ("Ps.122.4!a"), or else the whole verse, given once and listed in partialVerses.
+ * @param {object} provider - A text provider (see loadTextProvider)
+ * @param {Array<object>} ranges - Ranges from parseReferenceRanges()
+ * @returns {{text: string, missingVerses: Array<string>, partialVerses: Array<string>}} - The
+ *   text of the ranges, with " … " where the reading skips verses
+ */
+export function resolvePassageText(provider, ranges) {
+    const missingVerses = new Set();
+    const partialVerses = new Set();
+    const wholeVerses = new Set();
+    let text = '';
+    let lastVerse = null;
+
+    for (const range of ranges) {
+        const verses = expandRangeVerses(range);
+        verses.forEach((osisId, i) => {
+            const from = i === 0 ? range.partStart : null;
+            const to = i === verses.length - 1 ? range.partEnd : null;
+
+            let verseText = null;
+            if (from || to) {
+                const partial = getPartialVerse(provider, osisId, from, to);
+                if (partial.whole && partial.text !== null) {
+                    partialVerses.add(osisId);
+                    // The other part of a verse already given whole
+                    if (wholeVerses.has(osisId)) return;
+                    wholeVerses.add(osisId);
+                }
+                verseText = partial.text;
+            } else {
+                verseText = provider.getVerse(osisId);
+                wholeVerses.add(osisId);
+            }
+
+            if (verseText === null) {
+                missingVerses.add(osisId);
+            } else if (verseText) {
+                const separator = !text ? '' : isContinuation(lastVerse, osisId) ? ' ' : ' … ';
+                text += separator + verseText;
+            }
+            lastVerse = osisId;
+        });
+    }
+
+    return { text, missingVerses: [...missingVerses], partialVerses: [...partialVerses] };
+}
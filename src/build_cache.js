@@ -0,0 +1,203 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { buildComputedPropertiesMap, normalizeCalendarName } from './calendar.js';
+import { getDiagnostics, replayDiagnostics } from './diagnostics.js';
+import { log } from './log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'output', '.cache');
+
+// The properties of romcal's definitions that the build reads; "name", "rankName" and
+// "seasonNames" are getters, which JSON.stringify would leave out
+const DEFINITION_PROPERTIES = ['id', 'name', 'rank', 'rankName', 'seasonNames', 'dateDef', 'fromCalendarId'];
+
+function hash(...parts) {
+    const digest = crypto.createHash('sha256');
+    for (const part of parts) {
+        digest.update(typeof part === 'string' ? part : JSON.stringify(part));
+        digest.update('\0');
+    }
+    return digest.digest('hex').slice(0, 32);
+}
+
+// Version of an installed package, from the package.json above its entry point (romcal's
+// packages do not export their package.json)
+function getPackageVersion(name) {
+    let directory;
+    try {
+        directory = path.dirname(require.resolve(name));
+    } catch {
+        return null;
+    }
+    for (; directory !== path.dirname(directory); directory = path.dirname(directory)) {
+        const packagePath = path.join(directory, 'package.json');
+        if (!fs.existsSync(packagePath)) continue;
+        const manifest = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+        if (manifest.name === name) return manifest.version;
+    }
+    return null;
+}
+
+// The parsers are this repository's code and its dependencies: parse results cached by an
+// earlier version of either are not used
+let codeVersion = null;
+function getCodeVersion() {
+    if (!codeVersion) {
+        const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.js')).sort()
+            .map(file => path.join(__dirname, file));
+        const lockPath = path.join(__dirname, '..', 'package-lock.json');
+        if (fs.existsSync(lockPath)) files.push(lockPath);
+        codeVersion = hash(...files.map(file => fs.readFileSync(file, 'utf-8')));
+    }
+    return codeVersion;
+}
+
+function readCacheFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+        return null; // Missing, or left half-written by an interrupted build
+    }
+}
+
+function writeCacheFile(filePath, data) {
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data));
+    } catch (error) {
+        console.warn(`Could not write the build cache ${filePath}: ${error.message}`);
+    }
+}
+
+// Run a step of the build and collect the diagnostics it reports, so that a cached result
+// reports them again
+function runStep(step) {
+    const start = getDiagnostics().length;
+    const result = step();
+    return { result, diagnostics: getDiagnostics().slice(start) };
+}
+
+/**
+ * Creates the cache of a build: romcal's definitions and computed properties and the readings
+ * parsed from each input file are kept on disk, and the days assembled for each cycle or
+ * section are kept in memory for the next build of the same process (watch mode). Cached
+ * results are used only for the same input, and go through JSON as fresh results do, so
+ * that a build from the cache writes the same output byte for byte.
+ * @param {string|null} [cacheDir] - Directory of the cache files (defaults to output/.cache);
+ *   null keeps the cache in memory only
+ * @returns {object} - The cache, to pass to buildLectionary() as options.cache
+ */
+export function createBuildCache(cacheDir = DEFAULT_CACHE_DIR) {
+    const files = new Map();
+    const collections = new Map();
+    let romcalData = null;
+    let stats = null;
+
+    return {
+        cacheDir,
+
+        // Forget which steps the previous build ran
+        startBuild() {
+            stats = { parsedFiles: [], cachedFiles: [], builtCollections: [], reusedCollections: [] };
+        },
+
+        getStats() {
+            return stats;
+        },
+
+        /**
+         * romcal's definitions and the computed properties of the year of the calendar
+         * @param {Romcal} romcal - The configured romcal instance
+         * @param {object} calendarInfo - The calendar, locale, transfer options and year of the build
+         * @returns {Promise<{definitions: object, computedPropertiesMap: Map}>}
+         */
+        async getRomcalData(romcal, calendarInfo) {
+            const key = hash(calendarInfo, {
+                romcal: getPackageVersion('romcal'),
+                calendar: getPackageVersion(`@romcal/calendar.${normalizeCalendarName(calendarInfo.name)}`)
+            });
+            if (romcalData?.key === key) return romcalData;
+
+            const filePath = cacheDir && path.join(cacheDir, 'romcal', `${key}.json`);
+            let data = filePath && readCacheFile(filePath);
+            if (data) {
+                log(`Using the cached romcal definitions (${path.basename(filePath)})`);
+            } else {
+                log('Getting liturgical day definitions...');
+                const definitions = Object.values(await romcal.getAllDefinitions()).map(definition =>
+                    Object.fromEntries(DEFINITION_PROPERTIES.map(property => [property, definition[property]])));
+                log('Retrieved definitions for', definitions.length, 'liturgical days');
+
+                // The calendar of one year gives the computed properties
+                const calendar = await romcal.generateCalendar(calendarInfo.year);
+                data = JSON.parse(JSON.stringify({
+                    definitions,
+                    computedProperties: [...buildComputedPropertiesMap(calendar)]
+                }));
+                if (filePath) writeCacheFile(filePath, data);
+            }
+
+            romcalData = {
+                key,
+                definitions: Object.fromEntries(data.definitions.map(definition => [definition.id, definition])),
+                computedPropertiesMap: new Map(data.computedProperties)
+            };
+            return romcalData;
+        },
+
+        /**
+         * The readings of an input file, parsed again only if the file or the parsers changed
+         * @param {string} file - Name of the file, as given in its diagnostics
+         * @param {string} content - Content of the file
+         * @param {Function} extract - Parses the content into readings by cycle
+         * @returns {object} - The readings by cycle
+         */
+        getReadings(file, content, extract) {
+            const key = hash(getCodeVersion(), file, content);
+            const filePath = cacheDir && path.join(cacheDir, 'files', `${key}.json`);
+
+            let entry = files.get(file);
+            if (entry?.key !== key) {
+                entry = filePath && readCacheFile(filePath);
+            }
+            if (entry?.key === key) {
+                stats?.cachedFiles.push(file);
+                replayDiagnostics(entry.diagnostics);
+            } else {
+                const { result, diagnostics } = runStep(extract);
+                entry = { key, readings: JSON.stringify(result), diagnostics };
+                if (filePath) writeCacheFile(filePath, entry);
+                stats?.parsedFiles.push(file);
+            }
+            files.set(file, entry);
+            return JSON.parse(entry.readings);
+        },
+
+        /**
+         * The days of a cycle or section, assembled again only if its readings changed
+         * @param {string} name - e.g. "sundays.A", "properOfSaints"
+         * @param {*} input - The readings the days are assembled from
+         * @param {Function} build - Assembles the days
+         * @returns {*} - The days
+         */
+        getDays(name, input, build) {
+            const key = hash(romcalData?.key ?? '', input);
+            let entry = collections.get(name);
+            if (entry?.key === key) {
+                stats?.reusedCollections.push(name);
+                replayDiagnostics(entry.diagnostics);
+            } else {
+                const { result, diagnostics } = runStep(build);
+                entry = { key, days: JSON.stringify(result), diagnostics };
+                collections.set(name, entry);
+                stats?.builtCollections.push(name);
+            }
+            return JSON.parse(entry.days);
+        }
+    };
+}
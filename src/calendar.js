@@ -0,0 +1,212 @@
+import { Romcal } from 'romcal';
+
+// Constants for accessing computed properties from romcal
+export const COMPUTED_PROPERTIES = [
+    'name',
+    'seasonNames',
+    'colorNames',
+    'rankName',
+    'precedence'
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_CALENDAR = 'united-states';
+export const DEFAULT_LOCALE = 'en';
+
+// Options that move a solemnity to a Sunday; each romcal calendar has its own defaults
+export const TRANSFER_OPTIONS = ['epiphanyOnSunday', 'corpusChristiOnSunday', 'ascensionOnSunday'];
+
+// Transfer settings this project has always built a calendar with, where they differ from
+// romcal's: the United States lectionary keeps the Ascension on Thursday
+const CALENDAR_TRANSFER_DEFAULTS = {
+    'united-states': { ascensionOnSunday: false }
+};
+
+// "UnitedStates", "united_states" and "united-states" all name @romcal/calendar.united-states
+export function normalizeCalendarName(name) {
+    return String(name).trim()
+        .replace(/([a-z])([A-Z])/g, '$1-$2')
+        .replace(/[_\s]+/g, '-')
+        .toLowerCase();
+}
+
+// "united-states" → "UnitedStates", "en-gb" → "EnGb"
+function toPascalCase(value) {
+    return value.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Loads a localized calendar bundle from its romcal package, e.g. GeneralRoman_En from
+ * @romcal/calendar.general-roman. Calendars other than General Roman and United States
+ * have to be installed first (npm install @romcal/calendar.canada).
+ * @param {string} [calendar] - Calendar name (e.g. "general-roman", "united-states", "canada", "england")
+ * @param {string} [locale] - Locale of the bundle (e.g. "en", "en-gb", "fr")
+ * @returns {Promise<object>} - The localized calendar bundle
+ */
+export async function loadLocalizedCalendar(calendar = DEFAULT_CALENDAR, locale = DEFAULT_LOCALE) {
+    const calendarName = normalizeCalendarName(calendar);
+    const packageName = `@romcal/calendar.${calendarName}`;
+
+    let bundles;
+    try {
+        bundles = await import(packageName);
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND') {
+            throw new Error(`Calendar "${calendar}" is not installed (npm install ${packageName})`);
+        }
+        throw error;
+    }
+
+    const exportName = `${toPascalCase(calendarName)}_${toPascalCase(locale.toLowerCase())}`;
+    if (!bundles[exportName]) {
+        const locales = Object.keys(bundles).map(name => normalizeCalendarName(name.split('_')[1])).join(', ');
+        throw new Error(`Locale "${locale}" is not available for calendar "${calendar}" (available: ${locales})`);
+    }
+
+    return bundles[exportName];
+}
+
+/**
+ * Creates a romcal instance configured the same way for every consumer
+ * @param {object} [options]
+ * @param {string} [options.calendar] - Particular calendar (defaults to the United States)
+ * @param {string} [options.locale] - Locale of names (defaults to English)
+ * @param {boolean} [options.epiphanyOnSunday] - Overrides the calendar's own setting
+ * @param {boolean} [options.corpusChristiOnSunday] - Overrides the calendar's own setting
+ * @param {boolean} [options.ascensionOnSunday] - Overrides the calendar's own setting (off for
+ *   the United States, where romcal's is on)
+ * @returns {Promise<Romcal>}
+ */
+export async function createRomcal(options = {}) {
+    const locale = options.locale || DEFAULT_LOCALE;
+    const calendar = options.calendar || DEFAULT_CALENDAR;
+    const localizedCalendar = await loadLocalizedCalendar(calendar, locale);
+
+    // Options left undefined keep the defaults of the particular calendar
+    const transferOptions = { ...CALENDAR_TRANSFER_DEFAULTS[normalizeCalendarName(calendar)] };
+    for (const option of TRANSFER_OPTIONS) {
+        if (options[option] !== undefined) {
+            transferOptions[option] = options[option];
+        }
+    }
+
+    return new Romcal({
+        scope: 'liturgical',
+        locale,
+        localizedCalendar,
+        ...transferOptions,
+    });
+}
+
+// Describe the calendar and options a romcal instance uses, for the output metadata
+export function getCalendarInfo(romcal, options = {}) {
+    const info = {
+        name: normalizeCalendarName(options.calendar || DEFAULT_CALENDAR),
+        romcalCalendar: romcal.config.calendarName,
+        locale: options.locale || DEFAULT_LOCALE
+    };
+    for (const option of TRANSFER_OPTIONS) {
+        info[option] = romcal.config[option];
+    }
+    return info;
+}
+
+// Turn calendar metadata recorded in a lectionary back into createRomcal() options
+export function getRomcalOptions(calendarInfo) {
+    if (!calendarInfo) return {};
+
+    const options = { calendar: calendarInfo.name, locale: calendarInfo.locale };
+    for (const option of TRANSFER_OPTIONS) {
+        options[option] = calendarInfo[option];
+    }
+    return options;
+}
+
+// Create a mapping of definition IDs to instances with computed properties
+export function buildComputedPropertiesMap(calendar) {
+    const computedPropertiesMap = new Map();
+
+    for (const [date, days] of Object.entries(calendar)) {
+        if (Array.isArray(days) && days.length > 0) {
+            for (const day of days) {
+                if (day.id) {
+                    // Create an object with computed properties
+                    const computedProps = {
+                        date: date,
+                        id: day.id,
+                    };
+
+                    // Extract all relevant computed properties
+                    for (const prop of COMPUTED_PROPERTIES) {
+                        if (prop in day) {
+                            computedProps[prop] = day[prop];
+                        }
+                    }
+
+                    // Store by ID for later lookup
+                    computedPropertiesMap.set(day.id, computedProps);
+                }
+            }
+        }
+    }
+
+    return computedPropertiesMap;
+}
+
+// Parse a YYYY-MM-DD string into a UTC date so day arithmetic ignores time zones
+export function parseCivilDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+    }
+
+    const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    if (date.toISOString().slice(0, 10) !== value) {
+        throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+    }
+
+    return date;
+}
+
+export function formatCivilDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+export function addDays(date, days) {
+    return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Computes the First Sunday of Advent of a civil year, i.e. the fourth Sunday before Christmas
+ * @param {number} year - The civil year in which Advent begins
+ * @returns {Date} - The First Sunday of Advent (UTC)
+ */
+export function getFirstSundayOfAdvent(year) {
+    const christmas = new Date(Date.UTC(year, 11, 25));
+    const dayOfWeek = christmas.getUTCDay();
+    const fourthSunday = addDays(christmas, dayOfWeek === 0 ? -7 : -dayOfWeek);
+    return addDays(fourthSunday, -21);
+}
+
+/**
+ * Determines the liturgical year a civil date belongs to. Following romcal, a liturgical
+ * year is named after the civil year in which it ends (Advent 2025 starts liturgical year 2026).
+ * @param {string|Date} date - A YYYY-MM-DD string or a UTC date
+ * @returns {number} - The liturgical year
+ */
+export function getLiturgicalYear(date) {
+    const civilDate = typeof date === 'string' ? parseCivilDate(date) : date;
+    const year = civilDate.getUTCFullYear();
+    return civilDate >= getFirstSundayOfAdvent(year) ? year + 1 : year;
+}
+
+// Sunday cycle A/B/C: Year A is a liturgical year divisible by 3 with remainder 1 (e.g. 2026)
+export function getSundayCycle(liturgicalYear) {
+    return ['C', 'A', 'B'][liturgicalYear % 3];
+}
+
+// Weekday cycle I/II: Year I in odd liturgical years, Year II in even ones
+export function getWeekdayCycle(liturgicalYear) {
+    return liturgicalYear % 2 === 0 ? 'II' : 'I';
+}
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_CALENDAR, DEFAULT_LOCALE } from './calendar.js';
+import { buildLectionary, watchLectionary } from './index.js';
+import { DEFAULT_LECTIONARY_PATH, loadLectionary, createLookup, writeOrdo, findLectionaryNumber } from './lookup.js';
+import { validateLectionary, formatViolation } from './validate.js';
+import { exploreRomcal } from './explore_romcal.js';
+import { exportCsv } from './export_csv.js';
+import { diffLectionaries, formatDiff } from './diff.js';
+import { collectEditionChanges, formatEditionReport } from './editions.js';
+import { writeIcal } from './ical.js';
+import { startServer, DEFAULT_PORT, DEFAULT_HOST } from './server.js';
+import { buildPassageIndex, findPassage, formatPassageResults } from './passage_index.js';
+import { computeCoverage, formatCoverage } from './coverage.js';
+import { REFERENCE_STYLES, DEFAULT_REFERENCE_STYLE } from './references.js';
+import { setQuiet } from './log.js';
+
+const USAGE = `Usage: lectionary <command> [options]
+
+Commands:
+  build                        Build output/lectionary.json from the CSV and HTML files in
+                               input/
+  build --watch                Build, then build again whenever a file in input/ changes
+  lookup <date> [endDate]      Print the readings for a date or a date range (YYYY-MM-DD)
+  lookup --ordo <start> [end]  Write the ordo of whole liturgical years
+  lookup --number <number>     Print the Masses with a Lectionary number (e.g. 38, 13ABC, 13A)
+  passage <reference>          List every day, cycle and reading slot where a passage is read
+                               (e.g. "Luke 15:11-32", "Ps 23")
+  coverage [file]              Report how much of the Bible is read, per cycle, kind of
+                               option, book and chapter
+  ical <startYear> [endYear]   Write the readings of whole civil years as an iCalendar file
+  serve                        Serve the lectionary as a JSON HTTP API, reloading it when
+                               it is rebuilt
+  validate [file]              Check a lectionary JSON file against the schema
+  export-csv                   Write a lectionary JSON file back to CSV tables in output/csv/
+  edition-report [file]        List the readings changed or new in the current edition of the
+                               Lectionary, or marked "- Vg" (Vulgate), per cycle
+  diff <before> [after]        Compare two lectionary JSON files day by day (after defaults
+                               to output/lectionary.json)
+  explore-romcal               Write romcal's days and definitions with computed properties
+
+Options:
+  -i, --input <path>           build: directory of CSV and HTML files; lookup, passage,
+                               coverage, ical, serve, validate, export-csv, edition-report:
+                               lectionary JSON file
+  -o, --output <path>          build: lectionary JSON file; lookup --ordo: ordo file; ical:
+                               .ics file; explore-romcal, export-csv: output directory;
+                               coverage, diff, edition-report: JSON report file
+  -y, --year <year>            Calendar year for romcal's computed properties (build,
+                               explore-romcal; defaults to the current year)
+  -c, --calendar <name>        romcal particular calendar: general-roman, united-states,
+                               canada, england, ... (default: ${DEFAULT_CALENDAR}; lookup:
+                               the calendar the lectionary was built with)
+  -l, --locale <locale>        Locale of the calendar (default: ${DEFAULT_LOCALE})
+      --[no-]epiphany-on-sunday        Celebrate Epiphany on a Sunday
+      --[no-]corpus-christi-on-sunday  Celebrate Corpus Christi on a Sunday
+      --[no-]ascension-on-sunday       Celebrate the Ascension on a Sunday
+                               (transfer defaults come from the calendar; the
+                               Ascension is on Thursday for united-states)
+      --reference-style <style>
+                               build: style of the reference text: ${REFERENCE_STYLES.join(', ')}
+                               (default: ${DEFAULT_REFERENCE_STYLE})
+      --language <language>    build: language of the book names in the reference text:
+                               en, es (default: en)
+      --allow-invalid          build: write the output even if it violates the schema
+      --strict                 build: fail if any row was skipped, any reference could not
+                               be parsed or any day has no romcal match
+      --diagnostics <path>     build: diagnostics report (default: the output file with
+                               .diagnostics.json)
+      --bible-text <path>      build: add the text of the readings from a local Bible text:
+                               OSIS XML, USFM (file or directory) or JSON verse map
+      --bible-format <format>  build: format of --bible-text: osis, usfm, json (default:
+                               from the extension)
+      --texts-file             build: write the texts to the output file with .texts.json
+                               instead of adding them to the reading options
+      --watch                  build: rebuild when an input file changes, parsing only the
+                               changed files and assembling only the cycles they affect
+      --cache-dir <path>       build: directory of the cached romcal data and parsed files
+                               (default: output/.cache)
+      --no-cache               build: neither read nor write the cache directory
+  -p, --port <port>            serve: port to listen on (default: ${DEFAULT_PORT})
+      --host <host>            serve: address to listen on (default: ${DEFAULT_HOST})
+      --sundays-only           ical: only Sundays (default: every day)
+      --chapters               coverage: list the chapters of each book in the table
+      --json                   passage, coverage, diff, edition-report: print the results
+                               as JSON
+  -q, --quiet                  Only print warnings, errors and results
+  -h, --help                   Show this help`;
+
+// romcal transfer options and their command-line flags
+const TRANSFER_OPTIONS = {
+    epiphanyOnSunday: 'epiphany-on-sunday',
+    corpusChristiOnSunday: 'corpus-christi-on-sunday',
+    ascensionOnSunday: 'ascension-on-sunday'
+};
+
+const OPTIONS = {
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    year: { type: 'string', short: 'y' },
+    calendar: { type: 'string', short: 'c' },
+    locale: { type: 'string', short: 'l' },
+    'reference-style': { type: 'string' },
+    language: { type: 'string' },
+    ordo: { type: 'boolean' },
+    number: { type: 'string' },
+    'allow-invalid': { type: 'boolean' },
+    strict: { type: 'boolean' },
+    diagnostics: { type: 'string' },
+    'bible-text': { type: 'string' },
+    'bible-format': { type: 'string' },
+    'texts-file': { type: 'boolean' },
+    watch: { type: 'boolean' },
+    'cache-dir': { type: 'string' },
+    'no-cache': { type: 'boolean' },
+    port: { type: 'string', short: 'p' },
+    host: { type: 'string' },
+    'sundays-only': { type: 'boolean' },
+    chapters: { type: 'boolean' },
+    json: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+for (const flag of Object.values(TRANSFER_OPTIONS)) {
+    OPTIONS[flag] = { type: 'boolean' };
+    OPTIONS[`no-${flag}`] = { type: 'boolean' };
+}
+
+function parseYear(value, name = 'year') {
+    const year = Number(value);
+    if (!/^\d{4}$/.test(value || '') || !Number.isInteger(year)) {
+        throw new Error(`Invalid ${name} "${value}", expected a four-digit year`);
+    }
+    return year;
+}
+
+// Collect the calendar and transfer options given on the command line; the others keep
+// the defaults of the calendar (or, for lookups, the options the lectionary was built with)
+function getCalendarOptions(values) {
+    const romcalOptions = { calendar: values.calendar, locale: values.locale };
+    for (const [option, flag] of Object.entries(TRANSFER_OPTIONS)) {
+        if (values[flag] && values[`no-${flag}`]) {
+            throw new Error(`--${flag} and --no-${flag} cannot be used together`);
+        }
+        if (values[flag]) romcalOptions[option] = true;
+        if (values[`no-${flag}`]) romcalOptions[option] = false;
+    }
+    return romcalOptions;
+}
+
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+const COMMANDS = {
+    async build(values) {
+        const options = {
+            ...getCalendarOptions(values),
+            inputDir: values.input && path.resolve(values.input),
+            outputPath: values.output && path.resolve(values.output),
+            year: values.year ? parseYear(values.year) : undefined,
+            referenceStyle: values['reference-style'],
+            language: values.language,
+            allowInvalid: values['allow-invalid'],
+            strict: values.strict,
+            diagnosticsPath: values.diagnostics && path.resolve(values.diagnostics),
+            bibleText: values['bible-text'] && path.resolve(values['bible-text']),
+            bibleFormat: values['bible-format'],
+            textsFile: values['texts-file'],
+            cacheDir: values['cache-dir'] && path.resolve(values['cache-dir']),
+            noCache: values['no-cache']
+        };
+
+        if (values.watch) {
+            await watchLectionary(options);
+        } else {
+            await buildLectionary(options);
+        }
+    },
+
+    async lookup(values, positionals) {
+        const lectionary = loadLectionary(values.input ? path.resolve(values.input) : DEFAULT_LECTIONARY_PATH);
+        const calendarOptions = getCalendarOptions(values);
+
+        if (values.ordo) {
+            const startYear = parseYear(positionals[0], 'start year');
+            const endYear = positionals[1] ? parseYear(positionals[1], 'end year') : startYear;
+            await writeOrdo(lectionary, startYear, endYear, values.output && path.resolve(values.output), calendarOptions);
+            return;
+        }
+
+        if (values.number) {
+            const found = findLectionaryNumber(lectionary, values.number);
+            if (found.results.length === 0) {
+                throw new Error(`No Mass with Lectionary number ${found.number}`);
+            }
+            console.log(JSON.stringify(found.results, null, 2));
+            return;
+        }
+
+        if (positionals.length === 0) {
+            throw new Error('Usage: lookup <YYYY-MM-DD> [YYYY-MM-DD] | lookup --ordo <startYear> [endYear] | lookup --number <number>');
+        }
+
+        const lookup = createLookup(lectionary, calendarOptions);
+        const result = positionals[1]
+            ? await lookup.lookupRange(positionals[0], positionals[1])
+            : await lookup.lookupDate(positionals[0]);
+        console.log(JSON.stringify(result, null, 2));
+    },
+
+    async passage(values, positionals) {
+        if (positionals.length === 0) {
+            throw new Error('Usage: passage <reference>, e.g. passage "Luke 15:11-32"');
+        }
+
+        const lectionary = loadLectionary(values.input ? path.resolve(values.input) : DEFAULT_LECTIONARY_PATH);
+        const found = findPassage(buildPassageIndex(lectionary), positionals.join(' '));
+        console.log(values.json ? JSON.stringify(found, null, 2) : formatPassageResults(found));
+    },
+
+    async coverage(values, positionals) {
+        const lectionary = loadLectionary(path.resolve(positionals[0] || values.input || DEFAULT_LECTIONARY_PATH));
+        const coverage = computeCoverage(lectionary);
+
+        if (values.output) {
+            writeJson(path.resolve(values.output), coverage);
+        }
+        console.log(values.json ? JSON.stringify(coverage, null, 2) : formatCoverage(coverage, { chapters: values.chapters }));
+    },
+
+    async ical(values, positionals) {
+        if (positionals.length === 0) {
+            throw new Error('Usage: ical <startYear> [endYear]');
+        }
+
+        const lectionary = loadLectionary(values.input ? path.resolve(values.input) : DEFAULT_LECTIONARY_PATH);
+        const startYear = parseYear(positionals[0], 'start year');
+        const endYear = positionals[1] ? parseYear(positionals[1], 'end year') : startYear;
+        await writeIcal(lectionary, startYear, endYear, values.output && path.resolve(values.output), {
+            ...getCalendarOptions(values),
+            sundaysOnly: values['sundays-only']
+        });
+    },
+
+    async serve(values) {
+        const port = values.port === undefined ? undefined : Number(values.port);
+        if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+            throw new Error(`Invalid port "${values.port}"`);
+        }
+
+        await startServer({
+            ...getCalendarOptions(values),
+            lectionaryPath: values.input ? path.resolve(values.input) : DEFAULT_LECTIONARY_PATH,
+            port,
+            host: values.host
+        });
+    },
+
+    async validate(values, positionals) {
+        const filePath = path.resolve(positionals[0] || values.input || DEFAULT_LECTIONARY_PATH);
+        const violations = validateLectionary(loadLectionary(filePath));
+
+        for (const violation of violations) {
+            console.error(formatViolation(violation));
+        }
+
+        if (violations.length > 0) {
+            console.error(`${filePath}: ${violations.length} schema violation(s)`);
+            process.exitCode = 1;
+        } else {
+            console.log(`${filePath} is valid`);
+        }
+    },
+
+    async 'export-csv'(values) {
+        const lectionary = loadLectionary(values.input ? path.resolve(values.input) : DEFAULT_LECTIONARY_PATH);
+        exportCsv(lectionary, values.output && path.resolve(values.output));
+    },
+
+    async 'edition-report'(values, positionals) {
+        const lectionary = loadLectionary(path.resolve(positionals[0] || values.input || DEFAULT_LECTIONARY_PATH));
+        const editionReport = collectEditionChanges(lectionary);
+
+        if (values.output) {
+            writeJson(path.resolve(values.output), editionReport);
+        }
+        console.log(values.json ? JSON.stringify(editionReport, null, 2) : formatEditionReport(editionReport));
+    },
+
+    async diff(values, positionals) {
+        if (positionals.length === 0) {
+            throw new Error('Usage: diff <before.json> [after.json]');
+        }
+
+        const before = loadLectionary(path.resolve(positionals[0]));
+        const after = loadLectionary(path.resolve(positionals[1] || DEFAULT_LECTIONARY_PATH));
+        const diff = diffLectionaries(before, after);
+
+        if (values.output) {
+            writeJson(path.resolve(values.output), diff);
+        }
+        console.log(values.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+    },
+
+    async 'explore-romcal'(values) {
+        await exploreRomcal({
+            ...getCalendarOptions(values),
+            year: values.year ? parseYear(values.year) : undefined,
+            outputDir: values.output && path.resolve(values.output)
+        });
+    }
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+
+    setQuiet(values.quiet);
+    await COMMANDS[command](values, args);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,160 @@
+import { getDayCollections, getReadingSlots } from './lookup.js';
+import { expandRangeVerses, getCanonVerseCounts, getBookName } from './references.js';
+
+// Kinds of reading options, from their place among the alternatives of a slot and their note
+export const OPTION_KINDS = ['primary', 'alternative', 'shortForm', 'optional'];
+
+const KIND_LABELS = {
+    all: 'All',
+    primary: 'Primary',
+    alternative: 'Alternative',
+    shortForm: 'Short form',
+    optional: 'Optional'
+};
+
+// The readings of a whole optional set ("opt:") are optional, a shorter form of the first
+// option is a short form, and any other option after the first is an alternative
+function getOptionKind(option, index) {
+    const notes = option.note ? option.note.split('; ') : [];
+    if (notes.includes('optional')) return 'optional';
+    if (notes.includes('short form')) return 'shortForm';
+    return index > 0 ? 'alternative' : 'primary';
+}
+
+// Scopes a list of days counts towards: everything, Sundays or weekdays, and its own cycle
+function getScopes(collection) {
+    const scopes = ['all'];
+    if (collection.startsWith('sundays.')) scopes.push('sundays', collection);
+    if (collection.startsWith('weekdays.')) scopes.push('weekdays', collection);
+    return scopes;
+}
+
+function getPercent(verses, total) {
+    return total === 0 ? 0 : Math.round(verses / total * 10000) / 100;
+}
+
+/**
+ * Computes how much of the Bible the lectionary reads, counting every verse of the Catholic
+ * canon in the NAB versification once (partial verses count as read)
+ * @param {object} lectionary - The lectionary
+ * @returns {object} - {versification, totalVerses, scopes, books, neverRead}: scopes gives the
+ *   verses read and the percentage of the Bible per scope ("all", "sundays", "weekdays",
+ *   "sundays.A", …, "weekdays.II") and kind of option ("all", "primary", "alternative",
+ *   "shortForm", "optional"); books gives the same per book and chapter
+ */
+export function computeCoverage(lectionary) {
+    const canon = getCanonVerseCounts();
+    const canonVerses = new Set();
+    for (const { book, chapters } of canon) {
+        chapters.forEach((count, i) => {
+            for (let verse = 1; verse <= count; verse++) canonVerses.add(`${book}.${i + 1}.${verse}`);
+        });
+    }
+
+    // Verses read per scope and kind of option
+    const read = {};
+    const getSet = (scope, kind) => ((read[scope] ||= {})[kind] ||= new Set());
+    for (const [collection, days] of Object.entries(getDayCollections(lectionary))) {
+        const scopes = getScopes(collection);
+        for (const day of days) {
+            for (const options of Object.values(getReadingSlots(day))) {
+                (options || []).forEach((option, index) => {
+                    const verses = (option.ranges || []).flatMap(expandRangeVerses).filter(verse => canonVerses.has(verse));
+                    const kind = getOptionKind(option, index);
+                    for (const scope of scopes) {
+                        for (const set of [getSet(scope, 'all'), getSet(scope, kind)]) {
+                            verses.forEach(verse => set.add(verse));
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    const scopes = {};
+    for (const scope of Object.keys(read)) {
+        scopes[scope] = {};
+        for (const kind of ['all', ...OPTION_KINDS]) {
+            const verses = read[scope][kind]?.size || 0;
+            scopes[scope][kind] = { verses, percent: getPercent(verses, canonVerses.size) };
+        }
+    }
+
+    // Coverage of a set of verses within the verses of a book or chapter
+    const countIn = (scope, prefix, total) => {
+        let verses = 0;
+        for (const verse of read[scope]?.all || []) {
+            if (verse.startsWith(prefix)) verses++;
+        }
+        return { verses, percent: getPercent(verses, total) };
+    };
+
+    const books = canon.map(({ book, chapters }) => {
+        const totalVerses = chapters.reduce((sum, count) => sum + count, 0);
+        return {
+            book,
+            name: getBookName(book),
+            totalVerses,
+            ...countIn('all', `${book}.`, totalVerses),
+            sundays: countIn('sundays', `${book}.`, totalVerses),
+            weekdays: countIn('weekdays', `${book}.`, totalVerses),
+            chapters: chapters.map((count, i) => ({
+                chapter: i + 1,
+                totalVerses: count,
+                ...countIn('all', `${book}.${i + 1}.`, count)
+            }))
+        };
+    });
+
+    return {
+        versification: 'nab',
+        totalVerses: canonVerses.size,
+        scopes,
+        books,
+        neverRead: books.filter(book => book.verses === 0).map(book => book.book)
+    };
+}
+
+// Lay out rows of cells as a table with aligned columns, text to the left and numbers to the right
+function formatTable(rows) {
+    const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((cell, column) => column === 0
+        ? String(cell).padEnd(widths[column])
+        : String(cell).padStart(widths[column])).join('  ').trimEnd());
+}
+
+function formatPercent(coverage) {
+    return `${coverage.percent.toFixed(2)}%`;
+}
+
+/**
+ * Formats a coverage report as tables: the percentage of the Bible read per scope and kind
+ * of option, then the verses read per book (and chapter)
+ * @param {object} coverage - A report from computeCoverage()
+ * @param {object} [options]
+ * @param {boolean} [options.chapters] - List the chapters under each book
+ * @returns {string}
+ */
+export function formatCoverage(coverage, options = {}) {
+    const kinds = ['all', ...OPTION_KINDS];
+    const lines = [`Verses read, of ${coverage.totalVerses} in the Catholic canon (${coverage.versification.toUpperCase()} versification)`, ''];
+
+    lines.push(...formatTable([
+        ['Scope', ...kinds.map(kind => KIND_LABELS[kind])],
+        ...Object.entries(coverage.scopes).map(([scope, byKind]) => [scope, ...kinds.map(kind => formatPercent(byKind[kind]))])
+    ]), '');
+
+    const bookRows = [['Book', 'Verses', 'Read', 'All', 'Sundays', 'Weekdays']];
+    for (const book of coverage.books) {
+        bookRows.push([book.name, book.totalVerses, book.verses, formatPercent(book), formatPercent(book.sundays), formatPercent(book.weekdays)]);
+        if (!options.chapters) continue;
+        for (const chapter of book.chapters) {
+            bookRows.push([`  ${chapter.chapter}`, chapter.totalVerses, chapter.verses, formatPercent(chapter), '', '']);
+        }
+    }
+    lines.push(...formatTable(bookRows), '');
+
+    const neverRead = coverage.books.filter(book => book.verses === 0).map(book => book.name);
+    lines.push(`Never read (${neverRead.length} book(s)): ${neverRead.join(', ') || 'none'}`);
+    return lines.join('\n');
+}
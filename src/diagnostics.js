@@ -0,0 +1,123 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Problems collected during a build, with the CSV cell they come from. Warnings and errors
+// are still printed as they are found; the collected list is written as a report at the end.
+let diagnostics = [];
+let source = null;
+
+export const SEVERITIES = ['error', 'warning'];
+
+// Categories that mean content was dropped or left unresolved, or that a Lectionary number does
+// not identify a single Mass; a strict build fails on any of them
+export const STRICT_CATEGORIES = ['skipped-row', 'unparsed-reference', 'unmatched-day', 'lectionary-number'];
+
+export function resetDiagnostics() {
+    diagnostics = [];
+    source = null;
+}
+
+/**
+ * Sets the CSV row that the following diagnostics are reported for
+ * @param {object|null} location - {file, row, column, record}; the column defaults to the
+ *   cell of the record that contains the reported text
+ */
+export function setDiagnosticSource(location) {
+    source = location;
+}
+
+// Name of the column of a record whose cell contains the text
+function findColumn(record, text) {
+    if (!record || !text) return null;
+    const match = Object.entries(record).find(([, value]) => typeof value === 'string' && value.includes(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Records a diagnostic for the current source row and prints it
+ * @param {string} category - e.g. "skipped-row", "unparsed-reference", "unmatched-day", "unknown-rank", "acclamation", "lectionary-number", "schema", "missing-verse"
+ * @param {string} severity - "error" or "warning"
+ * @param {string} message - What went wrong
+ * @param {object} [details] - The raw text involved and any location overriding the current source
+ * @returns {object} - The diagnostic
+ */
+export function report(category, severity, message, details = {}) {
+    const text = details.text ?? null;
+    const diagnostic = {
+        file: details.file ?? source?.file ?? null,
+        row: details.row ?? source?.row ?? null,
+        column: details.column ?? findColumn(source?.record, text) ?? source?.column ?? null,
+        text,
+        category,
+        severity,
+        message
+    };
+    if (details.identifier) {
+        diagnostic.identifier = details.identifier;
+    }
+
+    diagnostics.push(diagnostic);
+    (severity === 'error' ? console.error : console.warn)(formatDiagnostic(diagnostic));
+    return diagnostic;
+}
+
+export function getDiagnostics() {
+    return [...diagnostics];
+}
+
+// Records and prints again diagnostics reported by an earlier run of a cached build step
+export function replayDiagnostics(list) {
+    for (const diagnostic of list) {
+        diagnostics.push(diagnostic);
+        (diagnostic.severity === 'error' ? console.error : console.warn)(formatDiagnostic(diagnostic));
+    }
+}
+
+/**
+ * Counts diagnostics by severity and category
+ * @param {Array<object>} list - Diagnostics from getDiagnostics()
+ * @returns {{errors: number, warnings: number, categories: object, strictFailures: number}}
+ */
+export function summarizeDiagnostics(list) {
+    const categories = {};
+    for (const diagnostic of list) {
+        categories[diagnostic.category] = (categories[diagnostic.category] || 0) + 1;
+    }
+
+    return {
+        errors: list.filter(diagnostic => diagnostic.severity === 'error').length,
+        warnings: list.filter(diagnostic => diagnostic.severity === 'warning').length,
+        categories,
+        strictFailures: list.filter(diagnostic => STRICT_CATEGORIES.includes(diagnostic.category)).length
+    };
+}
+
+// Format a diagnostic as a single line, e.g. 'sundays.csv:12 (Gospel): error [unparsed-reference] ...: "Mt 5:1-"'
+export function formatDiagnostic(diagnostic) {
+    let location = diagnostic.file || '(build)';
+    if (diagnostic.row !== null) location += `:${diagnostic.row}`;
+    if (diagnostic.column) location += ` (${diagnostic.column})`;
+
+    const text = diagnostic.text ? `: ${JSON.stringify(diagnostic.text)}` : '';
+    return `${location}: ${diagnostic.severity} [${diagnostic.category}] ${diagnostic.message}${text}`;
+}
+
+// One-line summary, e.g. "2 error(s), 1 warning(s) (unparsed-reference: 2, unknown-rank: 1)"
+export function formatSummary(summary) {
+    const categories = Object.entries(summary.categories).map(([category, count]) => `${category}: ${count}`);
+    const counts = `${summary.errors} error(s), ${summary.warnings} warning(s)`;
+    return categories.length > 0 ? `${counts} (${categories.join(', ')})` : counts;
+}
+
+/**
+ * Writes the diagnostics report as JSON
+ * @param {string} filePath - File to write
+ * @param {Array<object>} list - Diagnostics from getDiagnostics()
+ * @returns {object} - The summary included in the report
+ */
+export function writeDiagnostics(filePath, list) {
+    const summary = summarizeDiagnostics(list);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ summary, diagnostics: list }, null, 2));
+    return summary;
+}
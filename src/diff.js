@@ -0,0 +1,254 @@
+import { getDayCollections, getReadingSlots } from './lookup.js';
+
+// Day fields compared between builds; readings are compared separately, reference by reference
+const DAY_FIELDS = ['identifier', 'name', 'romcalKey', 'season', 'week', 'dayOfWeek', 'date', 'rank', 'massType', 'lectionaryNumber', 'section', 'category'];
+
+// Top-level fields describing how the file was built
+const BUILD_FIELDS = ['lectionaryTitle', 'schemaVersion', 'calendar', 'referenceStyle'];
+
+// Keys of the days of a list; repeated identifiers (optional readings of a feast, the two
+// Masses of Palm Sunday) are told apart by their occurrence, e.g. "holy_family_b#2"
+function getDayKeys(days, getKey) {
+    const counts = new Map();
+    return days.map(day => {
+        const key = getKey(day);
+        if (key === null) return null;
+        counts.set(key, (counts.get(key) || 0) + 1);
+        return counts.get(key) === 1 ? key : `${key}#${counts.get(key)}`;
+    });
+}
+
+// Pair the days of two versions of a list by identifier, then the rest by romcalKey and massType
+function matchDays(beforeDays, afterDays) {
+    const pairs = [];
+    const unmatchedBefore = new Set(beforeDays.keys());
+    const unmatchedAfter = new Set(afterDays.keys());
+
+    const strategies = [
+        ['identifier', day => day.identifier],
+        ['romcalKey', day => day.romcalKey ? `${day.romcalKey}|${day.massType ?? ''}` : null]
+    ];
+
+    for (const [matchedBy, getKey] of strategies) {
+        const remainingBefore = [...unmatchedBefore];
+        const remainingAfter = [...unmatchedAfter];
+        const afterKeys = getDayKeys(remainingAfter.map(index => afterDays[index]), getKey);
+        const afterIndexByKey = new Map(afterKeys.map((key, i) => [key, remainingAfter[i]]));
+        const beforeKeys = getDayKeys(remainingBefore.map(index => beforeDays[index]), getKey);
+
+        beforeKeys.forEach((key, i) => {
+            if (key === null || !afterIndexByKey.has(key)) return;
+            const beforeIndex = remainingBefore[i];
+            const afterIndex = afterIndexByKey.get(key);
+            pairs.push({ before: beforeDays[beforeIndex], after: afterDays[afterIndex], matchedBy });
+            unmatchedBefore.delete(beforeIndex);
+            unmatchedAfter.delete(afterIndex);
+        });
+    }
+
+    return {
+        pairs,
+        removed: [...unmatchedBefore].map(index => beforeDays[index]),
+        added: [...unmatchedAfter].map(index => afterDays[index])
+    };
+}
+
+// A reading option is identified by the verses it names, so that a change of reference style
+// or of the spelling in the tables is not reported as a change
+function getOptionKey(option) {
+    return option.referenceOsis ?? `text:${option.referenceOriginal ?? option.referenceStandard ?? ''}`;
+}
+
+function describeOption(option) {
+    return {
+        osis: option.referenceOsis,
+        reference: option.referenceStandard ?? option.referenceOriginal ?? null,
+        note: option.note ?? null
+    };
+}
+
+// The refrains of a psalm's response by verses and text, e.g. "Ps.122.1 Let us go rejoicing…; or: Alleluia."
+function describeResponse(option) {
+    if (!option.response) return null;
+    return [option.response, ...(option.response.alternatives || [])]
+        .map(refrain => [refrain.referenceOsis, refrain.text].filter(Boolean).join(' '))
+        .join('; or: ');
+}
+
+// The kind and verse of a Gospel Acclamation, e.g. "lenten: One does not live on bread alone"
+function describeAcclamation(option) {
+    if (!option.acclamation) return null;
+    return [option.acclamation.type, option.acclamation.text].filter(Boolean).join(': ');
+}
+
+// Compare the options of one slot: references removed and added, notes, edition status,
+// Vulgate marker, psalm responses and acclamations changed, and order
+function diffOptions(beforeOptions = [], afterOptions = []) {
+    const remaining = [...afterOptions];
+    const removed = [];
+    const notes = [];
+    const editions = [];
+    const vulgate = [];
+    const responses = [];
+    const acclamations = [];
+
+    for (const option of beforeOptions) {
+        const index = remaining.findIndex(candidate => getOptionKey(candidate) === getOptionKey(option));
+        if (index === -1) {
+            removed.push(describeOption(option));
+            continue;
+        }
+        const [match] = remaining.splice(index, 1);
+        if ((option.note ?? null) !== (match.note ?? null)) {
+            notes.push({ ...describeOption(match), before: option.note ?? null, after: match.note ?? null });
+        }
+        if ((option.editionStatus ?? null) !== (match.editionStatus ?? null)) {
+            editions.push({ ...describeOption(match), before: option.editionStatus ?? null, after: match.editionStatus ?? null });
+        }
+        if ((option.vulgate ?? false) !== (match.vulgate ?? false)) {
+            vulgate.push({ ...describeOption(match), before: option.vulgate ?? false, after: match.vulgate ?? false });
+        }
+        if (describeResponse(option) !== describeResponse(match)) {
+            responses.push({ ...describeOption(match), before: describeResponse(option), after: describeResponse(match) });
+        }
+        if (describeAcclamation(option) !== describeAcclamation(match)) {
+            acclamations.push({ ...describeOption(match), before: describeAcclamation(option), after: describeAcclamation(match) });
+        }
+    }
+
+    const added = remaining.map(describeOption);
+    const reordered = removed.length === 0 && added.length === 0 &&
+        beforeOptions.map(getOptionKey).join('\n') !== afterOptions.map(getOptionKey).join('\n');
+
+    if ([removed, added, notes, editions, vulgate, responses, acclamations].every(list => list.length === 0) && !reordered) return null;
+    return { removed, added, notes, editions, vulgate, responses, acclamations, reordered };
+}
+
+function diffDay(before, after) {
+    const fields = DAY_FIELDS
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+    const beforeSlots = getReadingSlots(before);
+    const afterSlots = getReadingSlots(after);
+    const readings = [];
+    for (const slot of new Set([...Object.keys(beforeSlots), ...Object.keys(afterSlots)])) {
+        const change = diffOptions(beforeSlots[slot], afterSlots[slot]);
+        if (change) readings.push({ slot, ...change });
+    }
+
+    return { fields, readings };
+}
+
+function summarizeDay(collection, day) {
+    return { collection, identifier: day.identifier, name: day.name ?? null, romcalKey: day.romcalKey ?? null };
+}
+
+/**
+ * Compares two lectionary builds day by day. Days are matched by identifier, or failing that
+ * by romcalKey and massType within the same cycle or section. Readings are compared by the
+ * verses they name (referenceOsis), so a different reference style is not a change.
+ * @param {object} before - The earlier lectionary
+ * @param {object} after - The later lectionary
+ * @returns {object} - {summary, build, added, removed, changed}
+ */
+export function diffLectionaries(before, after) {
+    const build = BUILD_FIELDS
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+    const beforeCollections = getDayCollections(before);
+    const afterCollections = getDayCollections(after);
+    const result = { build, added: [], removed: [], changed: [] };
+    let unchanged = 0;
+
+    for (const collection of new Set([...Object.keys(beforeCollections), ...Object.keys(afterCollections)])) {
+        const { pairs, removed, added } = matchDays(beforeCollections[collection] || [], afterCollections[collection] || []);
+
+        result.removed.push(...removed.map(day => summarizeDay(collection, day)));
+        result.added.push(...added.map(day => summarizeDay(collection, day)));
+
+        for (const { before: beforeDay, after: afterDay, matchedBy } of pairs) {
+            const { fields, readings } = diffDay(beforeDay, afterDay);
+            if (fields.length === 0 && readings.length === 0) {
+                unchanged++;
+                continue;
+            }
+            result.changed.push({ ...summarizeDay(collection, afterDay), matchedBy, fields, readings });
+        }
+    }
+
+    return {
+        summary: {
+            added: result.added.length,
+            removed: result.removed.length,
+            changed: result.changed.length,
+            unchanged
+        },
+        ...result
+    };
+}
+
+function formatValue(value) {
+    return JSON.stringify(value);
+}
+
+function formatOption(option) {
+    const reference = option.reference ?? '(no reference)';
+    return option.note ? `${reference} [${option.note}]` : reference;
+}
+
+/**
+ * Formats a diff for reading, one block per changed day, e.g.
+ *   ~ sundays.A advent_1_sunday_a (First Sunday of Advent)
+ *       rank: "Sunday" -> "Solemnity"
+ *       first_reading: - Isaiah 2:1-5
+ *       first_reading: + Isaiah 2:1-6
+ * @param {object} diff - A diff from diffLectionaries()
+ * @returns {string}
+ */
+export function formatDiff(diff) {
+    const lines = [];
+
+    for (const { field, before, after } of diff.build) {
+        lines.push(`* ${field}: ${formatValue(before)} -> ${formatValue(after)}`);
+    }
+    for (const day of diff.removed) {
+        lines.push(`- ${day.collection} ${day.identifier} (${day.name})`);
+    }
+    for (const day of diff.added) {
+        lines.push(`+ ${day.collection} ${day.identifier} (${day.name})`);
+    }
+
+    for (const day of diff.changed) {
+        const matched = day.matchedBy === 'identifier' ? '' : `, matched by ${day.matchedBy}`;
+        lines.push(`~ ${day.collection} ${day.identifier} (${day.name}${matched})`);
+        for (const { field, before, after } of day.fields) {
+            lines.push(`    ${field}: ${formatValue(before)} -> ${formatValue(after)}`);
+        }
+        for (const change of day.readings) {
+            for (const option of change.removed) lines.push(`    ${change.slot}: - ${formatOption(option)}`);
+            for (const option of change.added) lines.push(`    ${change.slot}: + ${formatOption(option)}`);
+            for (const note of change.notes) {
+                lines.push(`    ${change.slot}: note of ${note.reference}: ${formatValue(note.before)} -> ${formatValue(note.after)}`);
+            }
+            for (const edition of change.editions) {
+                lines.push(`    ${change.slot}: edition status of ${edition.reference}: ${formatValue(edition.before)} -> ${formatValue(edition.after)}`);
+            }
+            for (const marker of change.vulgate) {
+                lines.push(`    ${change.slot}: Vulgate marker of ${marker.reference}: ${formatValue(marker.before)} -> ${formatValue(marker.after)}`);
+            }
+            for (const response of change.responses) {
+                lines.push(`    ${change.slot}: response of ${response.reference}: ${formatValue(response.before)} -> ${formatValue(response.after)}`);
+            }
+            for (const acclamation of change.acclamations) {
+                lines.push(`    ${change.slot}: acclamation of ${acclamation.reference ?? '(no reference)'}: ${formatValue(acclamation.before)} -> ${formatValue(acclamation.after)}`);
+            }
+            if (change.reordered) lines.push(`    ${change.slot}: options reordered`);
+        }
+    }
+
+    const { added, removed, changed, unchanged } = diff.summary;
+    lines.push(`${added} day(s) added, ${removed} removed, ${changed} changed, ${unchanged} unchanged`);
+    return lines.join('\n');
+}
@@ -0,0 +1,101 @@
+import { getDayCollections, getReadingSlots } from './lookup.js';
+
+// Markers of the CSV tables for readings that differ from the previous edition of the
+// Lectionary ("Gen 12:1-4a (diff)") or were added in the current one ("opt: Isa 55:1-11 (new)")
+const EDITION_MARKERS = {
+    diff: 'changed',
+    new: 'new'
+};
+
+export const EDITION_STATUSES = Object.values(EDITION_MARKERS);
+
+/**
+ * Reads the edition marker of a citation
+ * @param {string} citation - A citation as written in the CSV
+ * @returns {string|null} - "changed", "new", or null for a reading unchanged since the previous edition
+ */
+export function getEditionStatus(citation) {
+    const match = (citation || '').match(/\((diff|new)\)/i);
+    return match ? EDITION_MARKERS[match[1].toLowerCase()] : null;
+}
+
+// The CSV marker of an edition status, e.g. "(diff)" for "changed"
+export function formatEditionMarker(editionStatus) {
+    const marker = Object.keys(EDITION_MARKERS).find(key => EDITION_MARKERS[key] === editionStatus);
+    return marker ? `(${marker})` : '';
+}
+
+// Marker of a citation whose text follows the Vulgate ("Sir 3:2-6, 12-14 - Vg"), which the
+// parsers strip from the reference
+export const VULGATE_MARKER_PATTERN = /\s*[-‒–—―]\s*Vg\b/;
+
+export const VULGATE_MARKER = '- Vg';
+
+/**
+ * Reads the Vulgate marker of a citation
+ * @param {string} citation - A citation as written in the CSV
+ * @returns {boolean}
+ */
+export function hasVulgateMarker(citation) {
+    return VULGATE_MARKER_PATTERN.test(citation || '');
+}
+
+/**
+ * Lists the readings that are changed or new in the current edition, and those marked as
+ * following the Vulgate, per cycle or section
+ * @param {object} lectionary - The lectionary
+ * @returns {object} - {summary: {changed, new, vulgate}, cycles: {"sundays.A": [{identifier, name, slot, osis, reference, editionStatus, vulgate}]}}
+ */
+export function collectEditionChanges(lectionary) {
+    const summary = Object.fromEntries(EDITION_STATUSES.map(status => [status, 0]));
+    summary.vulgate = 0;
+    const cycles = {};
+
+    for (const [collection, days] of Object.entries(getDayCollections(lectionary))) {
+        for (const day of days) {
+            for (const [slot, options] of Object.entries(getReadingSlots(day))) {
+                for (const option of options || []) {
+                    if (!option.editionStatus && !option.vulgate) continue;
+
+                    if (option.editionStatus) summary[option.editionStatus]++;
+                    if (option.vulgate) summary.vulgate++;
+                    (cycles[collection] ||= []).push({
+                        identifier: day.identifier,
+                        name: day.name,
+                        slot,
+                        osis: option.referenceOsis,
+                        reference: option.referenceStandard ?? option.referenceOriginal ?? null,
+                        editionStatus: option.editionStatus ?? null,
+                        vulgate: option.vulgate === true
+                    });
+                }
+            }
+        }
+    }
+
+    return { summary, cycles };
+}
+
+/**
+ * Formats the edition report for reading, e.g.
+ *   sundays.A
+ *     lent_2_sunday_a (Second Sunday of Lent) first_reading: Genesis 12:1-4a [changed]
+ * @param {object} editionReport - A report from collectEditionChanges()
+ * @returns {string}
+ */
+export function formatEditionReport(editionReport) {
+    const lines = [];
+
+    for (const [collection, readings] of Object.entries(editionReport.cycles)) {
+        lines.push(collection);
+        for (const reading of readings) {
+            const labels = [reading.editionStatus, reading.vulgate && 'Vulgate'].filter(Boolean);
+            lines.push(`  ${reading.identifier} (${reading.name}) ${reading.slot}: ${reading.reference} [${labels.join(', ')}]`);
+        }
+    }
+
+    const counts = EDITION_STATUSES.map(status => `${editionReport.summary[status]} ${status}`);
+    counts.push(`${editionReport.summary.vulgate} Vulgate`);
+    lines.push(`${counts.join(', ')} reading(s)`);
+    return lines.join('\n');
+}
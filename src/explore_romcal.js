@@ -1,8 +1,8 @@
-import { Romcal } from 'romcal';
-import { UnitedStates_En } from '@romcal/calendar.united-states';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { createRomcal } from './calendar.js';
+import { log } from './log.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,33 +20,35 @@ const COMPUTED_PROPERTIES = [
   'definition'
 ];
 
-async function exploreRomcal() {
-  console.log('Exploring romcal computed properties...');
+/**
+ * Writes romcal's liturgical days and definitions with their computed properties to
+ * romcal_computed_props.json and romcal_enhanced.json, for choosing romcal keys
+ * @param {object} [options]
+ * @param {string} [options.calendar] - Particular calendar (see createRomcal(); defaults to the United States)
+ * @param {string} [options.locale] - Locale of the calendar (defaults to "en")
+ * @param {number} [options.year] - Year of the calendar to generate (defaults to the current year)
+ * @param {string} [options.outputDir] - Directory to write to (defaults to output/)
+ */
+export async function exploreRomcal(options = {}) {
+  log('Exploring romcal computed properties...');
   
   // Initialize romcal
-  const romcal = new Romcal({
-    scope: 'liturgical',
-    locale: 'en',
-    localizedCalendar: UnitedStates_En,
-    epiphanyOnSunday: true,
-    corpusChristiOnSunday: true,
-    ascensionOnSunday: false,
-  });
+  const romcal = await createRomcal(options);
   
-  // Get calendar for current year to access actual day instances with computed properties
-  const currentYear = new Date().getFullYear();
-  console.log(`Generating calendar for ${currentYear}...`);
-  const calendar = await romcal.generateCalendar(currentYear);
+  // Get calendar for one year to access actual day instances with computed properties
+  const year = options.year ?? new Date().getFullYear();
+  log(`Generating calendar for ${year}...`);
+  const calendar = await romcal.generateCalendar(year);
   
   // Get all liturgical day definitions
-  console.log('Getting liturgical day definitions...');
+  log('Getting liturgical day definitions...');
   const definitions = await romcal.getAllDefinitions();
-  console.log('Retrieved', Object.keys(definitions).length, 'liturgical day definitions');
+  log('Retrieved', Object.keys(definitions).length, 'liturgical day definitions');
   
   // Create output directory if it doesn't exist
-  const outputDir = path.join(__dirname, '..', 'output');
+  const outputDir = options.outputDir || path.join(__dirname, '..', 'output');
   if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir);
+    fs.mkdirSync(outputDir, { recursive: true });
   }
   
   // Extract actual liturgical day instances with computed properties from the calendar
@@ -73,12 +75,12 @@ async function exploreRomcal() {
     }
   }
   
-  console.log(`Extracted ${allDays.length} liturgical day instances with computed properties`);
+  log(`Extracted ${allDays.length} liturgical day instances with computed properties`);
   
   // Output the calendar data with computed properties
   const computedPropsPath = path.join(outputDir, 'romcal_computed_props.json');
   fs.writeFileSync(computedPropsPath, JSON.stringify(allDays, null, 2));
-  console.log(`Liturgical days with computed properties written to ${computedPropsPath}`);
+  log(`Liturgical days with computed properties written to ${computedPropsPath}`);
   
   // Create a mapping from definition IDs to computed properties
   const definitionToComputedProps = {};
@@ -115,10 +117,10 @@ async function exploreRomcal() {
   
   const enhancedPath = path.join(outputDir, 'romcal_enhanced.json');
   fs.writeFileSync(enhancedPath, JSON.stringify(enhancedList, null, 2));
-  console.log(`Enhanced list with computed properties written to ${enhancedPath}`);
+  log(`Enhanced list with computed properties written to ${enhancedPath}`);
   
   // Search for specific seasons to show computed properties
-  console.log('\nSample liturgical days with computed properties:');
+  log('\nSample liturgical days with computed properties:');
   const seasonExamples = {
     'Advent': allDays.find(day => day.seasonNames?.includes('Advent')),
     'Christmas': allDays.find(day => day.seasonNames?.includes('Christmas Time')),
@@ -129,17 +131,13 @@ async function exploreRomcal() {
   
   for (const [season, example] of Object.entries(seasonExamples)) {
     if (example) {
-      console.log(`${season} example:`);
-      console.log(`  Date: ${example.date}`);
-      console.log(`  Name: ${example.name}`);
-      console.log(`  Season Names: ${example.seasonNames?.join(', ')}`);
-      console.log(`  Color Names: ${example.colorNames?.join(', ')}`);
-      console.log(`  Rank: ${example.rankName}`);
-      console.log('');
+      log(`${season} example:`);
+      log(`  Date: ${example.date}`);
+      log(`  Name: ${example.name}`);
+      log(`  Season Names: ${example.seasonNames?.join(', ')}`);
+      log(`  Color Names: ${example.colorNames?.join(', ')}`);
+      log(`  Rank: ${example.rankName}`);
+      log('');
     }
   }
 }
-
-exploreRomcal().catch(error => {
-  console.error('Error:', error);
-});
\ No newline at end of file
@@ -0,0 +1,500 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { log } from './log.js';
+import { formatEditionMarker, VULGATE_MARKER, VULGATE_MARKER_PATTERN } from './editions.js';
+import { MASS_TYPE_LABELS } from './lookup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CSV_OUTPUT_DIR = path.join(__dirname, '..', 'output', 'csv');
+
+// Reading slots of the standard tables and their columns; the acclamation column is named per season
+const READING_COLUMNS = [
+    ['first_reading', 'First Reading'],
+    ['responsorial_psalm', 'Responsorial Psalm'],
+    ['second_reading', 'Second Reading'],
+    ['gospel_acclamation', null],
+    ['gospel', 'Gospel']
+];
+
+// Notes that processReference() derives from the citation text itself; any other note of a
+// Gospel is its title
+const NOTE_MARKERS = ['optional', 'cf.', 'short form', 'alternative/option', 'no biblical reference'];
+
+// Descriptions that the feast branch of extractReadingsFromCSV() maps back to the same identifier
+const FEAST_DESCRIPTIONS = {
+    'christmas_at_the_vigil_mass': 'Christmas: At the Vigil Mass',
+    'christmas_mass_during_the_night': 'Christmas: Mass during the Night',
+    'christmas_mass_at_dawn': 'Christmas: Mass at Dawn',
+    'christmas_mass_during_the_day': 'Christmas: Mass during the Day',
+    'holy_family': 'The Holy Family',
+    'mary_mother_of_god': 'Solemnity of the Blessed Virgin Mary, the Mother of God',
+    'second_sunday_after_christmas': 'Second Sunday after Christmas',
+    'epiphany': 'The Epiphany of the Lord',
+    'baptism_of_the_lord': 'The Baptism of the Lord',
+    'chrism_mass': 'Holy Thursday: Chrism Mass',
+    'holy_thursday_lords_supper': 'Holy Thursday',
+    'good_friday': 'Good Friday',
+    'easter_vigil': 'Easter Vigil in the Holy Night',
+    'easter_sunday': 'Easter Sunday',
+    'most_holy_trinity': 'The Most Holy Trinity',
+    'corpus_christi': 'The Most Holy Body and Blood of Christ',
+    'sacred_heart': 'The Most Sacred Heart of Jesus',
+    'christ_the_king': 'Our Lord Jesus Christ, King of the Universe'
+};
+
+const SEASON_LABELS = {
+    'advent': 'Advent',
+    'christmas': 'Christmas',
+    'lent': 'Lent',
+    'easter': 'Easter',
+    'ordinary': 'Ordinary Time'
+};
+
+const SHORT_DAY_NAMES = {
+    'sunday': 'Sun', 'monday': 'Mon', 'tuesday': 'Tues', 'wednesday': 'Wed',
+    'thursday': 'Thurs', 'friday': 'Fri', 'saturday': 'Sat'
+};
+
+const UNDATED_FILES = {
+    commons: 'Commons.csv',
+    ritualMasses: 'Ritual_Masses.csv',
+    votiveMasses: 'Votive_Masses.csv',
+    massesForTheDead: 'Masses_for_the_Dead.csv'
+};
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function getOrdinal(number) {
+    const n = Number(number);
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+// Acclamation column of a season's tables ("Verse before the Gospel" in Lent and the Triduum)
+function getAcclamationColumn(season, weekday = false) {
+    if (season === 'Lent' || season === 'Triduum') return 'Verse before the Gospel';
+    return weekday ? 'Alleluia Verse' : 'Alleluia';
+}
+
+function getNotes(option) {
+    return option.note ? option.note.split('; ') : [];
+}
+
+// The Gospel title of an option: the note that is not derived from the citation
+function getGospelTitle(option) {
+    return getNotes(option).find(note => !NOTE_MARKERS.includes(note) && !note.startsWith('cited in ')) || null;
+}
+
+/**
+ * Serializes a reading option as the citation text of a CSV cell. The citation comes from
+ * referenceOriginal (or referenceStandard for files built without it); "opt:", "cf.",
+ * "(cited in …)" and "(short form)" are written from the note, "(diff)", "(new)" and "- Vg"
+ * from editionStatus and vulgate.
+ * @param {object} option - A reading option
+ * @returns {string}
+ */
+export function serializeOption(option) {
+    const notes = getNotes(option);
+    if (!option.referenceOsis) {
+        // An acclamation verse given by its text alone has an empty cell
+        return option.referenceOriginal || (option.acclamation?.text ? '' : '(no bibl. ref.)');
+    }
+
+    const citation = (option.referenceOriginal ?? option.referenceStandard ?? '')
+        .replace(/^(?:opt:\s*)?(?:cf\.\s*)?/i, '')
+        .replace(/\s*\((?:cited in [^)]*|short form|diff|new)\)/gi, '')
+        .replace(VULGATE_MARKER_PATTERN, '')
+        .trim();
+    const citedIn = notes.find(note => note.startsWith('cited in '));
+
+    return [
+        notes.includes('optional') ? 'opt: ' : '',
+        notes.includes('cf.') ? 'cf. ' : '',
+        citation,
+        citedIn ? ` (${citedIn})` : '',
+        notes.includes('short form') ? ' (short form)' : '',
+        option.editionStatus ? ` ${formatEditionMarker(option.editionStatus)}` : '',
+        option.vulgate ? ` ${VULGATE_MARKER}` : ''
+    ].join('');
+}
+
+// A cell of alternatives ("Rom 5:12-19 or 5:12, 17-19"), with the Gospel title after a dash
+function serializeCell(options, isGospel = false) {
+    if (!options || options.length === 0) return '';
+
+    const text = options.map(serializeOption).join(' or ');
+    const title = isGospel ? getGospelTitle(options[0]) : null;
+    return title ? `${text} – ${title}` : text;
+}
+
+// A cell of the Commons and Ritual Masses, which lists one option per line
+function serializeMenuCell(options) {
+    return (options || []).map(serializeOption).join('\n');
+}
+
+// The refrains of a psalm as printed in the Lectionary, one per line: "(cf. 1) Let us go rejoicing…",
+// then "or: Alleluia." for each alternative. Null if the psalm has no response.
+function serializeResponse(options) {
+    const response = options?.[0]?.response;
+    if (!response) return null;
+
+    return [response, ...(response.alternatives || [])].map((refrain, index) => {
+        const citation = refrain.referenceOriginal ? `(${refrain.referenceOriginal})` : '';
+        const text = [citation, refrain.text].filter(Boolean).join(' ');
+        return index > 0 ? `or: ${text}` : text;
+    }).join('\n');
+}
+
+// Add the response column of a psalm after its own column, if the psalm has a response
+function addResponseCell(cells, column, options) {
+    const response = serializeResponse(options);
+    if (response !== null) {
+        cells[column] = response;
+    }
+}
+
+// Acclamation column of the options of a day: the column of their type (an Alleluia, or the
+// Lenten verse), or else the column of the season's tables
+function getTypedAcclamationColumn(options, seasonColumn, weekday = false) {
+    const type = options?.[0]?.acclamation?.type;
+    if (type === 'lenten') return 'Verse before the Gospel';
+    if (type === 'alleluia' && seasonColumn === 'Verse before the Gospel') return weekday ? 'Alleluia Verse' : 'Alleluia';
+    return seasonColumn;
+}
+
+// Add the "Acclamation Text" column with the verse of each option, one per line, if any has one
+function addAcclamationTextCell(cells, options) {
+    const texts = (options || []).map(option => option.acclamation?.text || '');
+    if (texts.every(text => !text)) return;
+
+    cells['Acclamation Text'] = texts.map((text, index) => index > 0 ? `or: ${text}` : text).join('\n');
+}
+
+// Cells of a day, keyed by column; numbered tables (the Easter Vigil) keep their own columns
+function getReadingCells(day, acclamationColumn, serialize = serializeCell) {
+    const cells = day.lectionaryNumber ? { 'Lectionary Number': day.lectionaryNumber } : {};
+    if (day.readings.sequence) {
+        for (const item of day.readings.sequence) {
+            cells[item.label] = serialize(item.options, item.type === 'gospel');
+            if (item.type === 'responsorial_psalm') {
+                addResponseCell(cells, item.number ? `Response ${item.number}` : 'Response', item.options);
+            } else if (item.type === 'gospel_acclamation') {
+                addAcclamationTextCell(cells, item.options);
+            }
+        }
+        return cells;
+    }
+
+    for (const [slot, column] of READING_COLUMNS) {
+        if (!(slot in day.readings)) continue;
+
+        const options = day.readings[slot];
+        cells[column || getTypedAcclamationColumn(options, acclamationColumn)] = serialize(options, slot === 'gospel');
+        if (slot === 'responsorial_psalm') {
+            addResponseCell(cells, 'Response', options);
+        } else if (slot === 'gospel_acclamation') {
+            addAcclamationTextCell(cells, options);
+        }
+    }
+    return cells;
+}
+
+// Quote a CSV field if needed (RFC 4180)
+function formatField(value) {
+    const text = value ?? '';
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Collects the rows of each file; the columns of a file are those of its rows in order of appearance
+function createTables() {
+    const tables = new Map();
+
+    return {
+        addRow(fileName, firstColumn, description, cells) {
+            if (!tables.has(fileName)) {
+                tables.set(fileName, { columns: [firstColumn], rows: [] });
+            }
+            const table = tables.get(fileName);
+            for (const column of Object.keys(cells)) {
+                if (!table.columns.includes(column)) table.columns.push(column);
+            }
+            table.rows.push({ [firstColumn]: description, ...cells });
+        },
+
+        write(outputDir) {
+            fs.mkdirSync(outputDir, { recursive: true });
+            const written = [];
+            for (const [fileName, table] of tables) {
+                const lines = [table.columns, ...table.rows.map(row => table.columns.map(column => row[column]))]
+                    .map(fields => fields.map(formatField).join(','));
+                const filePath = path.join(outputDir, fileName);
+                fs.writeFileSync(filePath, lines.join('\r\n') + '\r\n');
+                written.push(filePath);
+            }
+            return written;
+        }
+    };
+}
+
+function getFileName(season, kind) {
+    return `${(season || 'Other').replace(/\s+/g, '_')}_${kind}.csv`;
+}
+
+// Identifier without the cycle suffix ("holy_family_b" -> "holy_family")
+function getBaseIdentifier(identifier, cycle) {
+    const suffix = `_${cycle.toLowerCase()}`;
+    return identifier.endsWith(suffix) ? identifier.slice(0, -suffix.length) : identifier;
+}
+
+// The n-th day with the same base identifier in every cycle, so that a row of several
+// cycles ("- ABC") can be written once
+function getCounterparts(days, base, cycles) {
+    const counterparts = {};
+    for (const cycle of cycles) {
+        counterparts[cycle] = days[cycle]
+            .map((day, index) => ({ day, index }))
+            .filter(({ day }) => getBaseIdentifier(day.identifier, cycle) === base);
+    }
+    return counterparts;
+}
+
+function describeSundayFeast(day, base) {
+    if (base === 'palm_sunday') {
+        return `Palm Sunday of the Passion of the Lord: ${MASS_TYPE_LABELS[day.massType] ?? 'At the Mass'}`;
+    }
+
+    const description = FEAST_DESCRIPTIONS[base] || base.split('_').map(capitalize).join(' ');
+    if (day.massType && MASS_TYPE_LABELS[day.massType] && !description.includes(':')) {
+        return `${description}: ${MASS_TYPE_LABELS[day.massType]}`;
+    }
+    return description;
+}
+
+function exportSundays(sundays, tables) {
+    const cycles = ['A', 'B', 'C'];
+    const done = new Set();
+
+    // Write the row of a day, with the other cycles it can share the row with
+    function exportDay(cycle, index) {
+        if (done.has(`${cycle}:${index}`)) return;
+        done.add(`${cycle}:${index}`);
+
+        const day = sundays[cycle][index];
+        const acclamationColumn = getAcclamationColumn(day.season);
+        const kind = day.readings.sequence ? 'Numbered_Readings' : 'Sundays';
+        const fileName = getFileName(day.season, kind);
+        const firstColumn = day.readings.sequence ? 'Feast' : 'Sunday or Feast - Year';
+        const cells = getReadingCells(day, acclamationColumn);
+
+        // Numbered Sundays have one row per cycle
+        const sundayMatch = day.identifier.match(/^(advent|christmas|lent|easter|ordinary)_(\d+)_sunday_[abc]$/);
+        if (sundayMatch) {
+            const connector = sundayMatch[1] === 'ordinary' ? 'in' : 'of';
+            const description = `${getOrdinal(sundayMatch[2])} Sunday ${connector} ${SEASON_LABELS[sundayMatch[1]]} - ${cycle}`;
+            tables.addRow(fileName, firstColumn, description, cells);
+            return;
+        }
+
+        // Feasts: the same occurrence in the other cycles, merged when the readings match
+        const base = getBaseIdentifier(day.identifier, cycle);
+        const counterparts = getCounterparts(sundays, base, cycles);
+        const occurrence = counterparts[cycle].findIndex(entry => entry.index === index);
+        const otherCycles = [];
+
+        for (const other of cycles.filter(c => c !== cycle)) {
+            const entry = counterparts[other][occurrence];
+            if (!entry || done.has(`${other}:${entry.index}`)) continue;
+            otherCycles.push({ cycle: other, entry, cells: getReadingCells(entry.day, acclamationColumn) });
+        }
+
+        const sameCells = other => JSON.stringify(other.cells) === JSON.stringify(cells);
+        const gospelColumns = Object.keys(cells).filter(column => /gospel$/i.test(column) && !/before/i.test(column));
+        // Each cycle of a Sunday usually has its own Lectionary number, written like the Gospels
+        const cycleColumns = [...gospelColumns, 'Lectionary Number'];
+        const onlyGospelsDiffer = other => Object.keys({ ...cells, ...other.cells })
+            .every(column => cycleColumns.includes(column) || cells[column] === other.cells[column]);
+
+        const gospelsDiffer = otherCycles.length === 2
+            && !otherCycles.every(sameCells)
+            && otherCycles.every(onlyGospelsDiffer)
+            && gospelColumns.every(column => [cells, ...otherCycles.map(other => other.cells)].every(c => c[column]));
+
+        let letters = cycle;
+        let rowCells = cells;
+        if (gospelsDiffer) {
+            // One row with a Gospel per cycle ("A: Matt 21:1-11", "B: Mark 11:1-10", …)
+            const cellsByCycle = { [cycle]: cells };
+            for (const other of otherCycles) cellsByCycle[other.cycle] = other.cells;
+            rowCells = { ...cells };
+            for (const column of gospelColumns) {
+                rowCells[column] = cycles.map(c => `${c}: ${cellsByCycle[c][column]}`).join('\n');
+            }
+            const numbers = cycles.map(c => cellsByCycle[c]['Lectionary Number']);
+            if (numbers.some(Boolean) && new Set(numbers).size > 1) {
+                rowCells['Lectionary Number'] = cycles.filter((c, i) => numbers[i]).map(c => `${c}: ${cellsByCycle[c]['Lectionary Number']}`).join('\n');
+            }
+            letters = cycles.join('');
+            otherCycles.forEach(other => done.add(`${other.cycle}:${other.entry.index}`));
+        } else {
+            for (const other of otherCycles.filter(sameCells)) {
+                letters += other.cycle;
+                done.add(`${other.cycle}:${other.entry.index}`);
+            }
+        }
+
+        // The optional readings of a feast are written "The Holy Family - B (optional)"
+        const optionalMatch = base.match(/^(.+)_optional$/);
+        const description = describeSundayFeast(day, optionalMatch ? optionalMatch[1] : base);
+        const sortedLetters = cycles.filter(c => letters.includes(c)).join('');
+        tables.addRow(fileName, firstColumn, `${description} - ${sortedLetters}${optionalMatch ? ' (optional)' : ''}`, rowCells);
+
+        // Extra occurrences of the feast in later cycles, then its optional readings, follow its last row
+        if (occurrence === counterparts[cycle].length - 1) {
+            for (const other of cycles.slice(cycles.indexOf(cycle) + 1)) {
+                counterparts[other].forEach(entry => exportDay(other, entry.index));
+            }
+            const optionalMasses = getCounterparts(sundays, `${base}_optional`, cycles);
+            for (const other of cycles) {
+                optionalMasses[other].forEach(entry => exportDay(other, entry.index));
+            }
+        }
+    }
+
+    for (const cycle of cycles) {
+        sundays[cycle].forEach((day, index) => exportDay(cycle, index));
+    }
+}
+
+// Day description that parseWeekdayDescription() maps back to the same identifier
+function describeWeekday(base) {
+    let match;
+    if ((match = base.match(/^(\w+?)_octave_(\w+)$/))) {
+        return `Octave of ${SEASON_LABELS[match[1]]} - ${capitalize(match[2])}`;
+    }
+    if ((match = base.match(/^(advent|christmas|lent|easter|ordinary)_(\d+)_(\w+day)$/))) {
+        const connector = match[1] === 'ordinary' ? 'in' : 'of';
+        return `${getOrdinal(match[2])} Week ${connector} ${SEASON_LABELS[match[1]]} - ${SHORT_DAY_NAMES[match[3]]}`;
+    }
+    if ((match = base.match(/^(?:advent|christmas)_(december|january)_(\d+)$/))) {
+        return `${capitalize(match[1])} ${match[2]}`;
+    }
+    if (base === 'lent_ash_wednesday') {
+        return 'Ash Wednesday';
+    }
+    if ((match = base.match(/^lent_(\w+day)_after_ash_wednesday$/))) {
+        return `${capitalize(match[1])} after Ash Wednesday`;
+    }
+    if ((match = base.match(/^lent_holy_(\w+day)$/))) {
+        return `Holy Week - ${SHORT_DAY_NAMES[match[1]]}`;
+    }
+    if ((match = base.match(/^christmas_(\w+day)_after_epiphany$/))) {
+        return `${capitalize(match[1])} after Epiphany`;
+    }
+    return null;
+}
+
+function exportWeekdays(weekdays, tables) {
+    // Pair the days of Year I and Year II; the shared columns are taken from Year I
+    const pairs = weekdays.I.map((day, index) => {
+        const base = getBaseIdentifier(day.identifier, 'I');
+        const occurrence = weekdays.I.slice(0, index).filter(other => getBaseIdentifier(other.identifier, 'I') === base).length;
+        const counterpart = weekdays.II.filter(other => getBaseIdentifier(other.identifier, 'II') === base)[occurrence] || day;
+        return { base, yearI: day, yearII: counterpart };
+    });
+
+    const bySeason = new Map();
+    for (const pair of pairs) {
+        const season = pair.yearI.season;
+        if (!bySeason.has(season)) bySeason.set(season, []);
+        bySeason.get(season).push(pair);
+    }
+
+    for (const [season, seasonPairs] of bySeason) {
+        const acclamationColumn = getAcclamationColumn(season, true);
+
+        // Separate Year I and Year II columns when any first reading, psalm or response differs
+        const cyclesDiffer = seasonPairs.some(({ yearI, yearII }) => ['first_reading', 'responsorial_psalm']
+            .some(slot => serializeCell(yearI.readings[slot]) !== serializeCell(yearII.readings[slot])) ||
+            serializeResponse(yearI.readings.responsorial_psalm) !== serializeResponse(yearII.readings.responsorial_psalm));
+
+        for (const { base, yearI, yearII } of seasonPairs) {
+            const description = describeWeekday(base);
+            if (!description) {
+                console.warn(`Cannot describe weekday "${yearI.identifier}" in a CSV table, skipped`);
+                continue;
+            }
+
+            const cells = {};
+            if (yearI.lectionaryNumber === yearII.lectionaryNumber) {
+                if (yearI.lectionaryNumber) cells['Lectionary Number'] = yearI.lectionaryNumber;
+            } else {
+                for (const [cycle, day] of [['I', yearI], ['II', yearII]]) {
+                    if (day.lectionaryNumber) cells[`Lectionary Number - Year ${cycle}`] = day.lectionaryNumber;
+                }
+            }
+            if (cyclesDiffer) {
+                for (const [cycle, day] of [['I', yearI], ['II', yearII]]) {
+                    cells[`First Reading - Year ${cycle}`] = serializeCell(day.readings.first_reading);
+                    cells[`Responsorial Psalm - Year ${cycle}`] = serializeCell(day.readings.responsorial_psalm);
+                    addResponseCell(cells, `Response - Year ${cycle}`, day.readings.responsorial_psalm);
+                }
+            } else {
+                cells['First Reading'] = serializeCell(yearI.readings.first_reading);
+                cells['Responsorial Psalm'] = serializeCell(yearI.readings.responsorial_psalm);
+                addResponseCell(cells, 'Response', yearI.readings.responsorial_psalm);
+            }
+            cells[getTypedAcclamationColumn(yearI.readings.gospel_acclamation, acclamationColumn, true)] = serializeCell(yearI.readings.gospel_acclamation);
+            addAcclamationTextCell(cells, yearI.readings.gospel_acclamation);
+            cells['Gospel'] = serializeCell(yearI.readings.gospel, true);
+
+            tables.addRow(getFileName(season, 'Weekdays'), 'Day', description, cells);
+        }
+    }
+}
+
+// "saint_assumption_bvm_vigil_0815" -> "08-15 Assumption BVM: Vigil Mass"
+function describeSanctoralDay(day) {
+    const suffix = day.massType ? `_${day.massType}_${day.date.replace('-', '')}` : `_${day.date.replace('-', '')}`;
+    const slug = day.identifier.replace(/^saint_/, '').replace(new RegExp(`${suffix}$`), '');
+    const name = slug.split('_').map(word => word === 'bvm' ? 'BVM' : capitalize(word)).join(' ');
+    const massType = day.massType ? `: ${MASS_TYPE_LABELS[day.massType]}` : '';
+    return `${day.date} ${name}${massType}`;
+}
+
+/**
+ * Writes the lectionary back to CSV files in the layouts that the build reads: Sundays and
+ * feasts per season (with the "Verse before the Gospel" column in Lent and the Triduum, and
+ * one row with "A:/B:/C:" Gospels where only the Gospel differs by cycle), numbered tables
+ * for Masses such as the Easter Vigil, weekdays per season (with Year I/Year II columns when
+ * the cycles differ), the Proper of Saints and the Commons, Ritual Masses, Votive Masses and
+ * Masses for the Dead. Building from the written files gives back equivalent JSON.
+ * @param {object} lectionary - The parsed lectionary JSON
+ * @param {string} [outputDir] - Directory to write the CSV files to (defaults to output/csv)
+ * @returns {string[]} - The files written
+ */
+export function exportCsv(lectionary, outputDir = DEFAULT_CSV_OUTPUT_DIR) {
+    const tables = createTables();
+
+    exportSundays(lectionary.cycles.sundays, tables);
+    exportWeekdays(lectionary.cycles.weekdays, tables);
+
+    for (const day of lectionary.properOfSaints || []) {
+        tables.addRow('Proper_of_Saints.csv', 'Date and Celebration', describeSanctoralDay(day), getReadingCells(day, 'Alleluia'));
+    }
+
+    for (const [section, fileName] of Object.entries(UNDATED_FILES)) {
+        for (const day of lectionary[section] || []) {
+            tables.addRow(fileName, 'Section', day.name, getReadingCells(day, 'Alleluia', serializeMenuCell));
+        }
+    }
+
+    const written = tables.write(outputDir);
+    for (const filePath of written) {
+        log(`Wrote ${filePath}`);
+    }
+    return written;
+}
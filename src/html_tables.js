@@ -0,0 +1,170 @@
+// Reads the reading tables of saved Lectionary web pages (e.g. the USCCB Lectionary pages) into
+// the same records csv-parse gives for a CSV table. The pages are parsed without an HTML
+// library: only tables, rows, cells, line breaks and footnote markers matter.
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    hellip: '…', dagger: '†', Dagger: '‡', middot: '·'
+};
+
+// Columns of the readings; the header of a reading table names at least two
+const READING_HEADER_PATTERN = /Reading|Psalm|Gospel|Alleluia/i;
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+        }
+        return HTML_ENTITIES[name] ?? entity;
+    });
+}
+
+// The text of a cell as it would be typed in a CSV cell: one line per <br> (or paragraph),
+// without footnote markers ("<sup>1</sup>", "<a href="#fn1">*</a>", a trailing "†")
+function getCellText(fragment) {
+    const text = decodeHtmlEntities(fragment
+        .replace(/<sup\b[\s\S]*?<\/sup>/gi, '')
+        .replace(/<a\b[^>]*href="#[^"]*"[^>]*>\s*\[?[\d*†‡a-z]{1,3}\]?\s*<\/a>/gi, '')
+        .replace(/<br\b[^>]*>|<\/(?:p|div|li)>/gi, '\n')
+        .replace(/<[^>]+>/g, ''));
+
+    return text.split('\n')
+        .map(line => line.replace(/\s+/g, ' ').replace(/\s*[*†‡]+$/, '').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function getSpan(attributes, name) {
+    const value = parseInt(attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']?(\\d+)`, 'i'))?.[1]);
+    return value > 0 ? value : 1;
+}
+
+// Rows of a table as {line, cells: [{text, isHeader, colspan, rowspan}]}; closing </td>, </th>
+// and </tr> tags may be left out, as HTML allows
+function parseRows(tableHtml, getLine, offset) {
+    const rows = [];
+    let row = null;
+    let cell = null;
+
+    const closeCell = end => {
+        if (!cell) return;
+        row.cells.push({ ...cell, text: getCellText(tableHtml.slice(cell.start, end)) });
+        cell = null;
+    };
+
+    for (const match of tableHtml.matchAll(/<(\/?)(tr|td|th)\b([^>]*)>/gi)) {
+        const [tag, closing, name, attributes] = match;
+        const tagName = name.toLowerCase();
+
+        if (tagName === 'tr') {
+            closeCell(match.index);
+            row = null;
+            if (!closing) {
+                row = { line: getLine(offset + match.index), cells: [] };
+                rows.push(row);
+            }
+        } else if (closing) {
+            closeCell(match.index);
+        } else if (row) {
+            closeCell(match.index);
+            cell = {
+                start: match.index + tag.length,
+                isHeader: tagName === 'th',
+                colspan: getSpan(attributes, 'colspan'),
+                rowspan: getSpan(attributes, 'rowspan')
+            };
+        }
+    }
+    closeCell(tableHtml.length);
+    return rows;
+}
+
+// Lay the cells of the rows out on a grid: a merged cell is copied into every row and column
+// it spans, except a cell that spans a whole row, which is a heading and stays in the first column
+function layOutRows(rows) {
+    const width = Math.max(0, ...rows.map(row => row.cells.reduce((sum, cell) => sum + cell.colspan, 0)));
+    const pending = []; // Cells carried down by rowspan, by column
+
+    return rows.map(row => {
+        const cells = [];
+        const isHeading = row.cells.length === 1 && row.cells[0].colspan === width && width > 1;
+        let column = 0;
+
+        const fill = () => {
+            while (pending[column]?.rows > 0) {
+                cells[column] = pending[column].cell;
+                pending[column].rows--;
+                column++;
+            }
+        };
+
+        for (const cell of row.cells) {
+            fill();
+            for (let i = 0; i < cell.colspan; i++) {
+                cells[column] = isHeading && i > 0 ? { ...cell, text: '' } : cell;
+                if (cell.rowspan > 1) {
+                    pending[column] = { cell, rows: cell.rowspan - 1 };
+                }
+                column++;
+            }
+        }
+        fill();
+        while (column < width) {
+            column++;
+            fill();
+        }
+
+        return { line: row.line, cells: Array.from({ length: width }, (_, i) => cells[i] || { text: '', isHeader: false }) };
+    });
+}
+
+/**
+ * Reads the reading tables of an HTML page as records keyed by column header, as csv-parse
+ * gives them for a CSV table. Tables without a header row naming reading columns (layout
+ * tables) are skipped, as are the rows before the header, repeated header rows and empty rows.
+ * @param {string} html - The page
+ * @returns {Array<{record: Object<string, string>, row: number}>} - The records of every
+ *   reading table in page order, with the line of the page their row starts on
+ */
+export function parseHtmlTableRecords(html) {
+    const source = html.replace(/<!--[\s\S]*?-->|<(script|style)\b[\s\S]*?<\/\1>/gi, match => match.replace(/[^\n]/g, ' '));
+
+    // Offsets of the line starts, for the line numbers of the rows
+    const lineStarts = [0];
+    for (const match of source.matchAll(/\n/g)) lineStarts.push(match.index + 1);
+    const getLine = offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle; else high = middle - 1;
+        }
+        return low + 1;
+    };
+
+    const records = [];
+    // Innermost tables only: a page laid out with tables holds the reading tables within them
+    for (const table of source.matchAll(/<table\b[^>]*>((?:(?!<table\b)[\s\S])*?)<\/table>/gi)) {
+        const offset = table.index + table[0].length - table[1].length - '</table>'.length;
+        const rows = layOutRows(parseRows(table[1], getLine, offset))
+            .filter(row => row.cells.some(cell => cell.text));
+
+        // The header is the first row naming reading columns; a caption row may come before it
+        const headerIndex = rows.findIndex(row => row.cells.filter(cell => READING_HEADER_PATTERN.test(cell.text)).length >= 2);
+        if (headerIndex === -1) continue;
+        const header = rows[headerIndex].cells.map(cell => cell.text);
+
+        for (const row of rows.slice(headerIndex + 1)) {
+            const texts = row.cells.map(cell => cell.text);
+            if (row.cells.every(cell => cell.isHeader) && texts.join('\t') === header.join('\t')) continue;
+
+            const record = {};
+            header.forEach((name, i) => {
+                if (name && !(name in record)) record[name] = texts[i];
+            });
+            records.push({ record, row: row.line });
+        }
+    }
+    return records;
+}
@@ -0,0 +1,223 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { log } from './log.js';
+import { parseCivilDate, addDays } from './calendar.js';
+import { createLookup, MASS_TYPE_LABELS } from './lookup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PRODUCT_ID = '-//Lectionary Bible Reference Extractor//Daily Readings//EN';
+
+// Reading slots in the order they are proclaimed, with the labels used in event descriptions
+const READING_LABELS = [
+    ['first_reading', 'First Reading'],
+    ['responsorial_psalm', 'Responsorial Psalm'],
+    ['second_reading', 'Second Reading'],
+    ['gospel_acclamation', 'Gospel Acclamation'],
+    ['gospel', 'Gospel']
+];
+
+// Labels of the Gospel Acclamation by its type
+const ACCLAMATION_LABELS = {
+    alleluia: 'Alleluia',
+    lenten: 'Verse before the Gospel'
+};
+
+// RFC 5545 lines are limited to 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// Escape TEXT values (RFC 5545, section 3.3.11)
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line into lines of at most 75 octets, continued with a leading space,
+// without splitting a UTF-8 character
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+function formatIcalDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatIcalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// Notes that the description already conveys ("or" between alternatives) or that repeat the text
+const OMITTED_NOTES = ['alternative/option', 'no biblical reference'];
+
+function formatOption(option) {
+    // An acclamation verse without a biblical reference is shown by its words
+    const reference = option.referenceStandard ?? option.acclamation?.text ?? 'no biblical reference';
+    const notes = (option.note ? option.note.split('; ') : []).filter(note => !OMITTED_NOTES.includes(note));
+    return notes.length > 0 ? `${reference} (${notes.join('; ')})` : reference;
+}
+
+// The refrain of a psalm, by its text or else its citation: "R. Let us go rejoicing… or Alleluia."
+function formatResponse(response) {
+    const refrains = [response, ...(response.alternatives || [])]
+        .map(refrain => refrain.text ?? refrain.referenceStandard ?? refrain.referenceOriginal)
+        .filter(Boolean);
+    return refrains.length > 0 ? `R. ${refrains.join(' or ')}` : null;
+}
+
+// The readings of one Mass, one line per slot with "or" between the options and the refrain
+// of a psalm on the line after it; the numbered readings of the Triduum replace the fixed slots
+function describeReadings(entry) {
+    const readings = entry.readings || {};
+    const slots = readings.sequence?.length > 0
+        ? readings.sequence.map(item => [item.label, item.options])
+        : READING_LABELS.map(([slot, label]) => [ACCLAMATION_LABELS[readings[slot]?.[0]?.acclamation?.type] ?? label, readings[slot]]);
+
+    return slots
+        .filter(([, options]) => options?.length > 0)
+        .flatMap(([label, options]) => {
+            const response = options[0].response && formatResponse(options[0].response);
+            const line = `${label}: ${options.map(formatOption).join(' or ')}`;
+            return response ? [line, response] : [line];
+        });
+}
+
+// Heading of one of the Masses of a day (Christmas, Palm Sunday, the optional readings of a feast)
+function describeMass(entry, index, entries) {
+    if (MASS_TYPE_LABELS[entry.massType]) {
+        return MASS_TYPE_LABELS[entry.massType];
+    }
+    if (entry.romcalKey === 'palm_sunday_of_the_passion_of_the_lord') {
+        return 'At the Mass';
+    }
+    const options = Object.values(entry.readings || {}).flat().filter(option => option.options === undefined);
+    if (index > 0 && options.length > 0 && options.every(option => /\boptional\b/.test(option.note || ''))) {
+        return 'Optional readings';
+    }
+    return `Mass ${index + 1} of ${entries.length}`;
+}
+
+function describeCelebration(celebration) {
+    const lines = [];
+    const colors = celebration.colors.join(', ');
+    const rank = celebration.rank && celebration.rank.charAt(0).toUpperCase() + celebration.rank.slice(1);
+    const heading = [celebration.isOptional ? `Optional: ${celebration.name}` : null, rank, colors]
+        .filter(Boolean)
+        .join(' · ');
+    lines.push(heading);
+
+    celebration.entries.forEach((entry, index, entries) => {
+        if (entries.length > 1) {
+            lines.push('', describeMass(entry, index, entries));
+        }
+        lines.push(...describeReadings(entry));
+    });
+
+    return lines;
+}
+
+// One all-day event for a resolved date, named after the celebration that is kept
+function createEvent(day, timestamp, calendarName) {
+    const [celebration, ...others] = day.celebrations;
+    const start = parseCivilDate(day.date);
+    const description = [
+        ...describeCelebration(celebration),
+        ...others.flatMap(other => ['', ...describeCelebration({ ...other, isOptional: true })])
+    ];
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${formatIcalDate(start)}-${celebration.romcalKey}@${calendarName}.lectionary`,
+        `DTSTAMP:${formatIcalTimestamp(timestamp)}`,
+        `DTSTART;VALUE=DATE:${formatIcalDate(start)}`,
+        `DTEND;VALUE=DATE:${formatIcalDate(addDays(start, 1))}`,
+        `SUMMARY:${escapeText(celebration.name)}`,
+        `DESCRIPTION:${escapeText(description.join('\n'))}`,
+        // A celebration without a rank has no category
+        ...(celebration.rank ? [`CATEGORIES:${escapeText(celebration.rank)}`] : []),
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Creates an iCalendar (RFC 5545) file of the readings of every day of a range of civil years
+ * @param {object} lectionary - The parsed contents of lectionary.json
+ * @param {number} startYear - First civil year
+ * @param {number} endYear - Last civil year, inclusive
+ * @param {object} [options]
+ * @param {boolean} [options.sundaysOnly] - Only include Sundays
+ * @param {Date} [options.timestamp] - DTSTAMP of the events (defaults to now)
+ * @param {string} [options.calendar] - Particular calendar; it and the other createLookup()
+ *   options default to the calendar the lectionary was built with
+ * @returns {Promise<string>} - The contents of the .ics file
+ */
+export async function createIcal(lectionary, startYear, endYear, options = {}) {
+    if (endYear < startYear) {
+        throw new Error(`End year ${endYear} is before start year ${startYear}`);
+    }
+
+    const { sundaysOnly = false, timestamp = new Date(), ...calendarOptions } = options;
+    const lookup = createLookup(lectionary, calendarOptions);
+    const calendar = await lookup.describeCalendar();
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${lectionary.lectionaryTitle} (${calendar.name})`)}`
+    ];
+
+    const end = new Date(Date.UTC(endYear, 11, 31));
+    for (let date = new Date(Date.UTC(startYear, 0, 1)); date <= end; date = addDays(date, 1)) {
+        if (sundaysOnly && date.getUTCDay() !== 0) continue;
+
+        const day = await lookup.lookupDate(date);
+        if (day.celebrations.length === 0) continue;
+        lines.push(...createEvent(day, timestamp, calendar.name));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes an iCalendar file of the readings of a range of civil years
+ * @param {object} lectionary - The parsed contents of lectionary.json
+ * @param {number} startYear - First civil year
+ * @param {number} endYear - Last civil year, inclusive
+ * @param {string} [outputPath] - Defaults to output/readings_<start>-<end>.ics
+ * @param {object} [options] - createIcal() options
+ * @returns {Promise<string>} - The path that was written
+ */
+export async function writeIcal(lectionary, startYear, endYear, outputPath = null, options = {}) {
+    const ical = await createIcal(lectionary, startYear, endYear, options);
+
+    const icalPath = outputPath || path.join(__dirname, '..', 'output', `readings_${startYear}-${endYear}.ics`);
+    fs.mkdirSync(path.dirname(icalPath), { recursive: true });
+    fs.writeFileSync(icalPath, ical);
+    log(`Created/Updated ${icalPath}`);
+    return icalPath;
+}
@@ -2,19 +2,30 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { parse } from 'csv-parse/sync'; // Replace cheerio with csv-parse
-import { bcv_parser } from "bible-passage-reference-parser/esm/bcv_parser.js";
-import * as lang from "bible-passage-reference-parser/esm/lang/full.js";
-import { Romcal } from 'romcal';
-import { UnitedStates_En } from '@romcal/calendar.united-states';
-
-// Constants for accessing computed properties from romcal
-const COMPUTED_PROPERTIES = [
-  'name', 
-  'seasonNames', 
-  'colorNames', 
-  'rankName',
-  'precedence'
-];
+import { createRomcal, getCalendarInfo } from './calendar.js';
+import { validateLectionary, formatViolation } from './validate.js';
+import { log } from './log.js';
+import {
+    report,
+    setDiagnosticSource,
+    resetDiagnostics,
+    getDiagnostics,
+    writeDiagnostics,
+    formatSummary
+} from './diagnostics.js';
+import {
+    bcv,
+    parseReferenceRanges,
+    formatOsisRanges,
+    formatReference,
+    normalizeReferenceStyle
+} from './references.js';
+import { getEditionStatus, hasVulgateMarker } from './editions.js';
+import { buildPassageIndex, getPassageIndexPath, writePassageIndex } from './passage_index.js';
+import { loadTextProvider, resolvePassageText } from './bible_text.js';
+import { getDayCollections, getReadingSlots, normalizeLectionaryNumber } from './lookup.js';
+import { parseHtmlTableRecords } from './html_tables.js';
+import { createBuildCache } from './build_cache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -27,26 +38,14 @@ function normalizeDate(date) {
     return cleaned.slice(0, 2) + '-' + cleaned.slice(2);
 }
 
-// Initialize the Bible reference parser
-const bcv = new bcv_parser(lang);
-const translation = "nab"; // New American Bible
-bcv.include_apocrypha(true); // Catholic canon
-bcv.set_options({ 
-    "book_alone_strategy": "full", 
-    "book_range_strategy": "include", 
-    "versification_system": "nab",
-    "sequence_combination_strategy": "separate", // Handle sequences like Lk 3:4+6
-    "split_sequence_chars": "+," // Define characters that split sequences
-});
-
 function processReference(reference, isGospel = false, cycle = null) {
     if (!reference) return [];
     
-    // Handle specific case for no biblical reference
-    if (reference.trim().toLowerCase() === '(no bibl. ref.)') {
+    // Handle specific case for no biblical reference: the option has no referenceOsis or
+    // referenceStandard, and is shown by the text of its acclamation
+    if (/^[([]no bibl\. ref\.[)\]]$/i.test(reference.trim())) {
         return [{
-            referenceOsis: null,
-            referenceStandard: null,
+            referenceOriginal: reference.trim(),
             note: 'no biblical reference'
         }];
     }
@@ -65,15 +64,19 @@ function processReference(reference, isGospel = false, cycle = null) {
     
     const readingOptions = [];
     
-    // Handle Gospel titles: "Reference – Title"
+    // Handle Gospel titles: "Reference – Title", but not ranges such as "Matt 26:14 – 27:66"
+    // or the Vulgate marker "– Vg"
     let gospelTitle = null;
-    if (isGospel && reference.includes('–')) {
-        const parts = reference.split('–').map(p => p.trim());
-        reference = parts[0];
-        gospelTitle = parts[1];
+    const titleMatch = isGospel && reference.match(/^(.+?)\s+–\s+(?!Vg\b)([^\d\s].*)$/);
+    if (titleMatch) {
+        reference = titleMatch[1].trim();
+        gospelTitle = titleMatch[2].trim();
     }
     
-    // Remove (diff) and (new) annotations entirely from the reference
+    // The citations as written in the CSV, kept for auditing the generated reference text
+    const originalOptions = reference.split(/\s+or\s+/i).map(option => option.trim());
+    
+    // Remove the (diff) and (new) annotations from the reference; they are kept as the editionStatus of each option
     reference = reference.replace(/\s*\(diff\)|\s*\(new\)/g, '');
     
     // Split by "or" first to handle alternative readings
@@ -90,8 +93,8 @@ function processReference(reference, isGospel = false, cycle = null) {
         let option = options[i];
         
         // Fix partial references by adding book name if missing
-        // This handles cases like "Matt 1:1-25 or 1:18-25"
-        if (i > 0 && /^\d/.test(option.trim()) && bookName) {
+        // This handles cases like "Matt 1:1-25 or 1:18-25", but not numbered books like "1 Sam 16:1b"
+        if (i > 0 && /^\d/.test(option.trim()) && !/^\d\s*[A-Za-z]/.test(option.trim()) && bookName) {
             option = bookName + ' ' + option;
         }
         
@@ -113,6 +116,19 @@ function processReference(reference, isGospel = false, cycle = null) {
             cleanOption = option.replace(/^cf\.\s*/i, '');
         }
         
+        // Keep "+" (verses within one psalm stanza) for the ranges, and drop
+        // parenthesized remarks such as "(cited in Lk 4:18)"
+        const rangeReference = cleanOption
+            .replace(/^opt:\s*/i, '') // Remove "opt:" prefix
+            .replace(/\([^)]*\)/g, '') // Remove parenthesized remarks
+            .replace(/[‒–—―]/g, '-') // Replace any kind of dash with regular hyphen
+            .replace(/\s*-\s*Vg.*/g, '') // Strip annotations like "- Vg"
+            .replace(/\s*([,;+])\s*/g, '$1 ') // Normalize spaces around separators
+            .replace(/(\d+)\s*:\s*(\d+)/g, '$1:$2') // Clean up spaces around colons
+            .replace(/\s*-\s*/g, '-') // Clean up spaces around hyphens
+            .replace(/\s+/g, ' ') // Normalize multiple spaces
+            .trim();
+        
         // Replace "+" with "," for proper OSIS reference parsing
         let cleanReference = cleanOption
             .replace(/^opt:\s*/i, '') // Remove "opt:" prefix
@@ -128,8 +144,10 @@ function processReference(reference, isGospel = false, cycle = null) {
         if (!cleanReference) continue;
         
         try {
-            const parsingResult = bcv.parse(cleanReference);
-            const osis = parsingResult.osis();
+            // Segment-preserving ranges with partial verses; the parser's own OSIS
+            // (which merges segments and drops parts) is the fallback
+            const ranges = parseReferenceRanges(rangeReference);
+            const osis = ranges ? formatOsisRanges(ranges) : bcv.parse(cleanReference).osis();
             
             if (osis) {
                 // Create the standardReference with "+" replaced with ","
@@ -175,117 +193,701 @@ function processReference(reference, isGospel = false, cycle = null) {
                 // Combine all notes with semicolons
                 const note = notes.length > 0 ? notes.join('; ') : null;
                 
-                readingOptions.push({
+                const readingOption = {
                     referenceOsis: osis, // OSIS format as required by schema
-                    referenceStandard: standardReference, // Standard reference with "+" replaced with ","
+                    // Generated from the ranges; the cleaned CSV text if they could not be parsed
+                    referenceStandard: ranges ? formatReference(ranges) : standardReference,
+                    referenceOriginal: originalOptions[i] ?? option.trim(),
                     note: note
-                });
+                };
+                if (ranges) {
+                    readingOption.ranges = ranges;
+                }
+                const editionStatus = getEditionStatus(originalOptions[i] ?? option);
+                if (editionStatus) {
+                    readingOption.editionStatus = editionStatus;
+                }
+                if (hasVulgateMarker(originalOptions[i] ?? option)) {
+                    readingOption.vulgate = true;
+                }
+                readingOptions.push(readingOption);
             } else {
-                console.warn(`Could not generate OSIS for reference: ${cleanReference} (Original: ${reference})`);
+                report('unparsed-reference', 'error', 'Could not generate OSIS for reference', { text: originalOptions[i] ?? option.trim() });
             }
         } catch (error) {
-            console.error(`Error processing reference: ${cleanReference} (Original: ${reference})`, error);
+            report('unparsed-reference', 'error', `Error processing reference: ${error.message}`, { text: originalOptions[i] ?? option.trim() });
         }
     }
     
     return readingOptions;
 }
 
-// Function to extract readings from CSV file instead of HTML
-function extractReadingsFromCSV(csvContent) {
+// Day-of-week abbreviations used in the weekday tables, mapped to the day number (Sunday = 0)
+const WEEKDAY_ABBREVIATIONS = {
+    'sun': 0, 'sunday': 0,
+    'mon': 1, 'monday': 1,
+    'tue': 2, 'tues': 2, 'tuesday': 2,
+    'wed': 3, 'wednesday': 3,
+    'thu': 4, 'thur': 4, 'thurs': 4, 'thursday': 4,
+    'fri': 5, 'friday': 5,
+    'sat': 6, 'saturday': 6
+};
+
+// Liturgical days mix romcal season names ("Easter Time", "Paschal Triduum") with the
+// CSV labels ("EASTER", "TRIDUUM"), so seasons are compared by a normalized key
+function getSeasonKey(season) {
+    return (season || '').toUpperCase().replace(/^PASCHAL\s+/, '').replace(/\s+TIME$/, '').replace(/\s+/g, '_');
+}
+
+// Season names written to the output, one per season key (see the schema's season enum)
+const SEASON_NAMES = {
+    'ADVENT': 'Advent',
+    'CHRISTMAS': 'Christmas',
+    'LENT': 'Lent',
+    'TRIDUUM': 'Triduum',
+    'EASTER': 'Easter',
+    'ORDINARY': 'Ordinary Time'
+};
+
+function normalizeSeason(season) {
+    return SEASON_NAMES[getSeasonKey(season)] || null;
+}
+
+// Order of the seasons in the Lectionary: the Paschal Triduum closes Lent, Ordinary Time
+// follows Easter, then the Solemnities of the Lord during Ordinary Time
+const SEASON_ORDER = { 'ADVENT': 1, 'CHRISTMAS': 2, 'LENT': 3, 'TRIDUUM': 4, 'EASTER': 5, 'ORDINARY': 6 };
+
+const FULL_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SHORT_DAY_NAMES = ['sun', 'mon', 'tues', 'wed', 'thurs', 'fri', 'sat'];
+
+// Season names as written in the weekday tables, mapped to the season label and romcal id prefix
+const WEEKDAY_SEASONS = {
+    'advent': { season: 'ADVENT', romcalPrefix: 'advent', label: 'Advent' },
+    'christmas': { season: 'CHRISTMAS', romcalPrefix: 'christmas_time', label: 'Christmas' },
+    'lent': { season: 'LENT', romcalPrefix: 'lent', label: 'Lent' },
+    'easter': { season: 'EASTER', romcalPrefix: 'easter_time', label: 'Easter' },
+    'ordinary time': { season: 'ORDINARY', romcalPrefix: 'ordinary_time', label: 'Ordinary Time' }
+};
+
+function getDayNumber(dayText) {
+    if (!dayText) return undefined;
+    return WEEKDAY_ABBREVIATIONS[dayText.toLowerCase().replace(/\.$/, '')];
+}
+
+/**
+ * Parses the day description of a weekday row. Supported forms:
+ *   "2nd Week of Easter - Mon", "1st Week in Ordinary Time - Tues", "Octave of Easter - Mon",
+ *   "December 17" / "Jan 2" (dated Advent and Christmas weekdays), "Ash Wednesday",
+ *   "After Ash Wednesday - Thurs" / "Thursday after Ash Wednesday", "Holy Week - Mon",
+ *   "After Epiphany - Mon" / "Monday after Epiphany"
+ * @param {string} dayDescription - The text of the day column
+ * @returns {object|null} - The parsed weekday, or null if the row is not a weekday
+ */
+function parseWeekdayDescription(dayDescription) {
+    const description = dayDescription.trim().replace(/[‒–—―]/g, '-').replace(/\s+/g, ' ');
+
+    // Weeks of a season and the Octave of Easter: "2nd Week of Easter - Mon"
+    const weekMatch = description.match(/^(?:(\d+)(?:st|nd|rd|th)\s+Week|Octave)\s+(?:of|in)\s+(Advent|Christmas|Lent|Easter|Ordinary\s+Time)\s*-\s*(\w+)/i);
+    if (weekMatch && getDayNumber(weekMatch[3]) !== undefined) {
+        const seasonInfo = WEEKDAY_SEASONS[weekMatch[2].toLowerCase()];
+        const isOctave = !weekMatch[1];
+        const weekNumber = isOctave ? 1 : parseInt(weekMatch[1]); // Octave is week 1
+        const dayNumber = getDayNumber(weekMatch[3]);
+        const fullDayName = FULL_DAY_NAMES[dayNumber];
+        const connector = seasonInfo.season === 'ORDINARY' ? 'in' : 'of';
+
+        return {
+            season: seasonInfo.season,
+            weekNumber: weekNumber,
+            dayInWeek: dayNumber,
+            dayOfWeek: fullDayName,
+            date: null,
+            isOctave: isOctave,
+            feastName: isOctave
+                ? `${fullDayName} within the Octave of ${seasonInfo.label}`
+                : `${fullDayName} of the ${getOrdinalSuffix(weekNumber)} Week ${connector} ${seasonInfo.label}`,
+            feastIdentifier: isOctave ? `${seasonInfo.season.toLowerCase()}_octave_${SHORT_DAY_NAMES[dayNumber]}` : null,
+            identifierBase: `${seasonInfo.season.toLowerCase()}_${weekNumber}_${fullDayName.toLowerCase()}`,
+            romcalKey: isOctave ? null : `${seasonInfo.romcalPrefix}_${weekNumber}_${fullDayName.toLowerCase()}`
+        };
+    }
+
+    // Dated weekdays: "December 17" (Advent, Dec 17-24) and "January 2" (Christmas Time)
+    const dateMatch = description.match(/^(Dec(?:ember)?|Jan(?:uary)?)\.?\s+(\d{1,2})$/i);
+    if (dateMatch) {
+        const isDecember = dateMatch[1].toLowerCase().startsWith('dec');
+        const day = parseInt(dateMatch[2]);
+        const monthName = isDecember ? 'December' : 'January';
+        const isAdvent = isDecember && day >= 17 && day <= 24;
+
+        let romcalKey = null;
+        if (isAdvent) {
+            romcalKey = `advent_december_${day}`;
+        } else if (isDecember && day >= 26) {
+            romcalKey = `christmas_octave_day_${day - 24}`; // Christmas Day is the first day of the octave
+        } else if (!isDecember) {
+            romcalKey = `christmas_time_january_${day}`;
+        }
+
+        return {
+            season: isAdvent ? 'ADVENT' : 'CHRISTMAS',
+            weekNumber: null,
+            dayInWeek: null,
+            dayOfWeek: null, // Falls on a different weekday every year
+            date: normalizeDate(`${isDecember ? '12' : '01'}${String(day).padStart(2, '0')}`),
+            isOctave: false,
+            feastName: `${monthName} ${day}`,
+            feastIdentifier: null,
+            identifierBase: `${isAdvent ? 'advent' : 'christmas'}_${monthName.toLowerCase()}_${day}`,
+            romcalKey: romcalKey
+        };
+    }
+
+    // Ash Wednesday and the days after it: "Ash Wednesday", "After Ash Wednesday - Thurs"
+    const ashMatch = description.match(/^(?:Ash\s+Wednesday|After\s+Ash\s+Wednesday\s*-\s*(\w+)|(\w+)\s+after\s+Ash\s+Wednesday)$/i);
+    if (ashMatch) {
+        const dayNumber = ashMatch[1] || ashMatch[2] ? getDayNumber(ashMatch[1] || ashMatch[2]) : 3;
+        if (dayNumber !== undefined) {
+            const fullDayName = FULL_DAY_NAMES[dayNumber];
+            const key = dayNumber === 3 ? 'ash_wednesday' : `${fullDayName.toLowerCase()}_after_ash_wednesday`;
+
+            return {
+                season: 'LENT',
+                weekNumber: null, // romcal counts these days as week 0 of Lent
+                dayInWeek: dayNumber,
+                dayOfWeek: fullDayName,
+                date: null,
+                isOctave: false,
+                feastName: dayNumber === 3 ? 'Ash Wednesday' : `${fullDayName} after Ash Wednesday`,
+                feastIdentifier: null,
+                identifierBase: `lent_${key}`,
+                romcalKey: key
+            };
+        }
+    }
+
+    // Monday to Wednesday of Holy Week: "Holy Week - Mon"
+    const holyWeekMatch = description.match(/^Holy\s+Week\s*-\s*(\w+)$/i);
+    if (holyWeekMatch && [1, 2, 3].includes(getDayNumber(holyWeekMatch[1]))) {
+        const dayNumber = getDayNumber(holyWeekMatch[1]);
+        const fullDayName = FULL_DAY_NAMES[dayNumber];
+
+        return {
+            season: 'LENT',
+            weekNumber: 6, // Holy Week follows the 5th week of Lent, like Palm Sunday
+            dayInWeek: dayNumber,
+            dayOfWeek: fullDayName,
+            date: null,
+            isOctave: false,
+            feastName: `${fullDayName} of Holy Week`,
+            feastIdentifier: null,
+            identifierBase: `lent_holy_${fullDayName.toLowerCase()}`,
+            romcalKey: `holy_${fullDayName.toLowerCase()}`
+        };
+    }
+
+    // Weekdays after Epiphany: "After Epiphany - Mon", "Monday after Epiphany"
+    const epiphanyMatch = description.match(/^(?:After\s+(?:the\s+)?Epiphany\s*-\s*(\w+)|(\w+)\s+after\s+(?:the\s+)?Epiphany)$/i);
+    if (epiphanyMatch && getDayNumber(epiphanyMatch[1] || epiphanyMatch[2]) !== undefined) {
+        const dayNumber = getDayNumber(epiphanyMatch[1] || epiphanyMatch[2]);
+        const fullDayName = FULL_DAY_NAMES[dayNumber];
+        const key = `${fullDayName.toLowerCase()}_after_epiphany`;
+
+        return {
+            season: 'CHRISTMAS',
+            weekNumber: null,
+            dayInWeek: dayNumber,
+            dayOfWeek: fullDayName,
+            date: null,
+            isOctave: false,
+            feastName: `${fullDayName} after Epiphany`,
+            feastIdentifier: null,
+            identifierBase: `christmas_${key}`,
+            romcalKey: key
+        };
+    }
+
+    return null;
+}
+
+// Sections of the Lectionary without a date, week or cycle, keyed by the output array they
+// are written to. Rows are routed by their heading, e.g. "Common of Pastors" or
+// "Ritual Masses: Marriage"; the prefix is dropped from identifiers ("ritual_marriage").
+const UNDATED_SECTIONS = {
+    commons: { pattern: /^Commons?\b/i, prefix: 'common', strip: /^Commons?\b/i },
+    ritualMasses: { pattern: /^Ritual\s+Masses?\b/i, prefix: 'ritual', strip: /^Ritual\s+Masses?\b/i },
+    votiveMasses: { pattern: /^Votive\s+Masses?\b/i, prefix: 'votive', strip: /^Votive\s+Masses?\b/i },
+    massesForTheDead: { pattern: /^(?:Masses?\s+for\s+the\s+Dead|Funerals?)\b/i, prefix: 'dead', strip: /^(?:Masses?\s+for\s+the\s+Dead|Funerals?)\b/i }
+};
+
+// Find the output array for a section heading, or null if the text is not a section heading
+function getUndatedSection(heading) {
+    const target = Object.keys(UNDATED_SECTIONS).find(key => UNDATED_SECTIONS[key].pattern.test(heading.trim()));
+    return target || null;
+}
+
+// Whether a day description names a day of the Proper of Time or of the Proper of Saints: a
+// date ("08-15 ..."), a weekday, or a Sunday or feast of some cycles ("... - A", "... - ABC").
+// Such a row ends the undated section that a heading row started.
+function isProperDayDescription(dayDescription) {
+    const description = dayDescription.trim();
+    return /^\d{1,2}[-/]\d{1,2}\s+/.test(description)
+        || parseWeekdayDescription(description) !== null
+        || /\s[–-]\s*[ABC]+(?:\s*\(.*\))?$/.test(description);
+}
+
+// Process a reading cell that offers a menu of options, one per line (optionally numbered
+// "1.", "2." or starting with "or"). Each line may itself contain "or" alternatives.
+function processReferenceMenu(cell, isGospel = false) {
+    if (!cell) return [];
+    
+    const lines = cell.split(/\r?\n/)
+        .map(line => line.replace(/^\s*(?:\(?\d+[.)]\s+|or\s+)/i, '').trim())
+        .filter(Boolean);
+    
+    if (lines.length <= 1) {
+        return processReference(lines[0] || '', isGospel);
+    }
+    
+    return lines.flatMap(line => processReference(line, isGospel).map(option => {
+        if (option.note?.includes('alternative/option')) return option;
+        return {
+            ...option,
+            note: option.note ? `alternative/option; ${option.note}` : 'alternative/option'
+        };
+    }));
+}
+
+// Columns of the psalm refrain: "Response" holds its text and "Response Reference" its citation.
+// Numbered tables give one per psalm ("Response 2"), weekday tables may give one per cycle
+// ("Response - Year I").
+const RESPONSE_COLUMN_PATTERN = /^(?:Response|Refrain)(?:\s+(\d+))?(\s+Reference)?(?:\s*[-–]\s*Year\s+(I{1,2}))?$/i;
+
+// Get the refrain cells of a psalm, by its number in a numbered table (null for the fixed
+// column) and weekday cycle; a column of the cycle takes precedence over the shared column
+function getResponseCells(record, number = null, cycle = null) {
+    const cells = { text: undefined, reference: undefined };
+    for (const [columnName, value] of Object.entries(record)) {
+        const match = columnName.replace(/\s+/g, ' ').trim().match(RESPONSE_COLUMN_PATTERN);
+        if (!match || (match[1] ? parseInt(match[1]) : null) !== number) continue;
+        if (match[3] && match[3].toUpperCase() !== cycle) continue;
+
+        const key = match[2] ? 'reference' : 'text';
+        if (match[3] || cells[key] === undefined) {
+            cells[key] = value;
+        }
+    }
+    return cells;
+}
+
+// Split a cell of refrains or verses into its alternatives, one per line or after "or:".
+// Citations may also be separated by a plain "or", which texts may contain.
+function splitAlternatives(cell, isCitation = false) {
+    const separator = isCitation ? /\r?\n|\s+or:?\s+/i : /\r?\n|\s+or:\s+/i;
+    return cell.split(separator).map(part => part.replace(isCitation ? /^\s*or:?\s+/i : /^\s*or:\s*/i, '').trim());
+}
+
+// A refrain as printed in the Lectionary, "R. (cf. 1) Let us go rejoicing to the house of the Lord",
+// where the citation may also come from its own column. A citation of verses only ("cf. 1",
+// "4a") refers to the psalm it answers.
+function processRefrain(text, citation, psalmRanges) {
+    const match = (text || '').match(/^(?:R\.\s*)?(?:\(([^)]*)\)\s*)?([\s\S]*)$/);
+    const refrainText = match[2].replace(/\s+/g, ' ').trim();
+    const refrainCitation = (citation || match[1] || '').trim();
+
+    const refrain = { referenceOsis: null, referenceStandard: null };
+    if (refrainCitation) {
+        const psalm = psalmRanges?.[0];
+        const isVerseOnly = /^(?:cf\.\s*)?\d+[a-z]*(?:\s*[-+,]\s*\d+[a-z]*)*$/i.test(refrainCitation);
+        const fullCitation = isVerseOnly && psalm
+            ? refrainCitation.replace(/^(cf\.\s*)?/i, `$1${psalm.book} ${psalm.chapter}:`)
+            : refrainCitation;
+        const [option] = processReference(fullCitation);
+        Object.assign(refrain, option, { referenceOriginal: refrainCitation });
+    }
+    if (refrainText) {
+        refrain.text = refrainText;
+    }
+    return refrain;
+}
+
+// Add the refrain of the row to every option of a psalm; the first refrain is the response,
+// the others ("or: Alleluia") its alternatives
+function addResponse(psalmOptions, { text, reference }) {
+    if (psalmOptions.length === 0 || (!text && !reference)) return psalmOptions;
+
+    const texts = text ? splitAlternatives(text) : [];
+    const citations = reference ? splitAlternatives(reference, true) : [];
+    const psalmRanges = psalmOptions.find(option => option.ranges)?.ranges;
+    const refrains = Array.from({ length: Math.max(texts.length, citations.length) },
+        (_, i) => processRefrain(texts[i], citations[i], psalmRanges))
+        .filter(refrain => refrain.referenceOriginal || refrain.text);
+    if (refrains.length === 0) return psalmOptions;
+
+    const [response, ...alternatives] = refrains;
+    if (alternatives.length > 0) {
+        response.alternatives = alternatives;
+    }
+    for (const option of psalmOptions) {
+        option.response = structuredClone(response);
+    }
+    return psalmOptions;
+}
+
+// Columns of the Gospel Acclamation, named per season; a table may have both kinds
+const ACCLAMATION_COLUMN_PATTERN = /Alleluia|Verse before|Gospel Acclamation/;
+
+// Column of the text of the acclamation verse, which may have no biblical reference
+const ACCLAMATION_TEXT_COLUMN_PATTERN = /^Acclamation\s+Text$/i;
+
+// Days of the Triduum before the Easter Vigil, which keep the Lenten acclamation
+const LENTEN_TRIDUUM_DAYS = ['holy_thursday_lords_supper', 'good_friday'];
+
+// Whether the Alleluia is left out on a day: in Lent, up to the Easter Vigil
+function isWithoutAlleluia(season, feastIdentifier = null) {
+    return season === 'LENT' || (season === 'TRIDUUM' && LENTEN_TRIDUUM_DAYS.includes(feastIdentifier));
+}
+
+// The acclamation a column holds: "Alleluia" and "Alleluia Verse" columns the Alleluia, "Verse
+// before the Gospel" the verse that replaces it in Lent, and "Gospel Acclamation" the one of the day
+function getAcclamationType(columnName, isLenten) {
+    if (/alleluia/i.test(columnName)) return 'alleluia';
+    if (/verse before/i.test(columnName)) return 'lenten';
+    return isLenten ? 'lenten' : 'alleluia';
+}
+
+// Add the type and verse text of the acclamation to its options. A text without a citation
+// (an empty cell or "(no bibl. ref.)") is kept on an option without a reference.
+function addAcclamation(options, { column, text }, isLenten) {
+    const texts = text ? splitAlternatives(text) : [];
+    if (options.length === 0 && texts.length === 0) return options;
+    if (options.length === 0) {
+        options = [{ note: 'no biblical reference' }];
+    }
+
+    const type = getAcclamationType(column || '', isLenten);
+    options.forEach((option, i) => {
+        option.acclamation = { type };
+        if (texts[i]) {
+            option.acclamation.text = texts[i];
+        }
+    });
+    return options;
+}
+
+// Dates that fall in Lent whatever the year: Ash Wednesday comes on March 10 at the latest and
+// Holy Thursday on March 19 at the earliest. Earlier and later dates are in Lent in some years only.
+function isAlwaysInLent(date) {
+    return date >= '03-10' && date <= '03-19';
+}
+
+// Report an Alleluia, by its column or its text, on a day of Lent
+function checkAcclamation({ cell, column, text }, isLenten) {
+    if (!isLenten) return;
+    if ((cell && getAcclamationType(column || '', true) === 'alleluia') || /\balleluia\b/i.test(text || '')) {
+        report('acclamation', 'warning', 'Alleluia in the Gospel Acclamation of a day of Lent', { text: cell || text, column });
+    }
+}
+
+// Column of the Lectionary number of a row ("Lectionary Number", "Lect. No.", "No.", "#"), which
+// weekday tables may split by cycle ("Lectionary Number - Year I")
+const LECTIONARY_NUMBER_COLUMN_PATTERN = /^(?:Lectionary\s+(?:Number|No\.?)|Lect\.?\s*No\.?|No\.|#)(?:\s*[-–]\s*Year\s+(I{1,2}))?$/i;
+
+// Read the Lectionary numbers of a row: one number for every cycle of the row ("13ABC"), or one
+// line per cycle ("A: 164", "B: 165", "C: 166"). Returns the number of a cycle, or null.
+function getLectionaryNumbers(record) {
+    const numbers = {};
+    for (const [columnName, value] of Object.entries(record)) {
+        const columnMatch = columnName.replace(/\s+/g, ' ').trim().match(LECTIONARY_NUMBER_COLUMN_PATTERN);
+        if (!columnMatch || !value) continue;
+
+        for (const line of value.split(/\r?\n/).map(text => text.trim()).filter(Boolean)) {
+            const lineMatch = line.match(/^([ABC]|I{1,2})\s*:\s*(.+)$/);
+            const number = normalizeLectionaryNumber(lineMatch ? lineMatch[2] : line);
+            if (!number) {
+                report('lectionary-number', 'warning', 'Not a Lectionary number', { text: line, column: columnName });
+                continue;
+            }
+            numbers[columnMatch[1]?.toUpperCase() ?? lineMatch?.[1] ?? 'all'] = number;
+        }
+    }
+    return cycle => numbers[cycle] ?? numbers.all ?? null;
+}
+
+// Get the value of a column that may be split by weekday cycle (e.g. "First Reading - Year I"),
+// falling back to the shared column (e.g. "First Reading") when the table has no per-cycle columns
+function getCycleValue(record, columnName, cycle) {
+    const cyclePattern = new RegExp(`\\bYear\\s+${cycle}\\b`, 'i');
+    const cycleColumn = Object.keys(record).find(name =>
+        name.toLowerCase().includes(columnName.toLowerCase()) && cyclePattern.test(name));
+
+    return cycleColumn ? record[cycleColumn] : record[columnName];
+}
+
+// Column headers of tables that list a variable number of readings, such as the seven
+// readings and psalms of the Easter Vigil ("Reading 1", "Psalm 1", ..., "Epistle", "Gospel")
+const NUMBERED_COLUMN_PATTERN = /\b(?:Reading|Psalm)\s+\d+\b|\b(?:Third|Fourth|Fifth|Sixth|Seventh)\s+Reading\b/i;
+
+const ORDINAL_NUMBERS = {
+    'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5, 'sixth': 6, 'seventh': 7
+};
+
+// Determine the kind of reading a column of a numbered table holds
+function getSequenceType(columnName) {
+    if (/alleluia|acclamation|verse before/i.test(columnName)) return 'gospel_acclamation';
+    if (/gospel/i.test(columnName)) return 'gospel';
+    if (/epistle/i.test(columnName)) return 'epistle';
+    if (/psalm/i.test(columnName)) return 'responsorial_psalm';
+    if (/reading/i.test(columnName)) return 'reading';
+    return null;
+}
+
+// Build the ordered list of readings of a row from a numbered table, or null if the
+// table uses the fixed First Reading/Psalm/Second Reading/Acclamation/Gospel columns.
+// A psalm without its own number takes the number of the reading it answers.
+function buildReadingSequence(record, dayDescColumn, cycle, acclamation = {}, isLenten = false) {
+    const columnNames = Object.keys(record).filter(name => name !== dayDescColumn);
+    if (!columnNames.some(name => NUMBERED_COLUMN_PATTERN.test(name))) return null;
+    
+    const sequence = [];
+    let readingNumber = null;
+    
+    for (const columnName of columnNames) {
+        const type = ACCLAMATION_TEXT_COLUMN_PATTERN.test(columnName.trim()) ? null : getSequenceType(columnName);
+        const value = record[columnName];
+        if (!type || !value) continue;
+        
+        const label = columnName.replace(/\s+/g, ' ').trim();
+        const digits = label.match(/\b(\d+)\b/);
+        const ordinal = label.toLowerCase().match(/\b(first|second|third|fourth|fifth|sixth|seventh)\b/);
+        let number = digits ? parseInt(digits[1]) : ordinal ? ORDINAL_NUMBERS[ordinal[1]] : null;
+        
+        if (type === 'reading') {
+            readingNumber = number;
+        } else if (type === 'responsorial_psalm' && number === null) {
+            number = readingNumber;
+        }
+        
+        let options = processReference(value, type === 'gospel', cycle);
+        if (type === 'responsorial_psalm') {
+            options = addResponse(options, getResponseCells(record, number));
+        } else if (type === 'gospel_acclamation') {
+            options = addAcclamation(options, { column: columnName, text: acclamation.text }, isLenten);
+        }
+        sequence.push({
+            position: sequence.length + 1,
+            type: type,
+            number: number,
+            label: label,
+            options: options
+        });
+    }
+    
+    return sequence;
+}
+
+// Fill the fixed reading slots from a numbered sequence so that every reading set keeps
+// the same shape: the first reading and psalm, the Epistle and the Gospel with its acclamation
+function getReadingsFromSequence(sequence) {
+    const firstOfType = type => sequence.find(item => item.type === type)?.options || [];
+    
+    return {
+        first_reading: firstOfType('reading'),
+        responsorial_psalm: firstOfType('responsorial_psalm'),
+        second_reading: firstOfType('epistle'),
+        gospel_acclamation: firstOfType('gospel_acclamation'),
+        gospel: firstOfType('gospel'),
+        sequence: sequence
+    };
+}
+
+// Function to extract readings from CSV file
+function extractReadingsFromCSV(csvContent, file = null) {
     const records = parse(csvContent, {
         columns: true, // Use the first row as header
         skip_empty_lines: true,
-        trim: true
-    });
+        trim: true,
+        info: true, // Line numbers for diagnostics
+        raw: true
+    }).map(({ record, info, raw }) => ({
+        record,
+        // info.lines is the line the record ends on; quoted cells may span several lines
+        row: info.lines - (raw.replace(/^(?:\r?\n)+|\r?\n$/g, '').match(/\n/g) || []).length
+    }));
+    
+    return extractReadingsFromRecords(records, file);
+}
+
+// Function to extract readings from the tables of a saved Lectionary web page
+function extractReadingsFromHTML(htmlContent, file = null) {
+    return extractReadingsFromRecords(parseHtmlTableRecords(htmlContent), file);
+}
+
+// Extract the readings of the rows of a table, each a record keyed by column header with the
+// line of the file it starts on, whether the table comes from a CSV file or a web page
+function extractReadingsFromRecords(records, file = null) {
+    const readings = {
+        A: [], B: [], C: [], I: [], II: [], // Sunday cycles and weekday cycles
+        saints: [], // Proper of Saints
+        commons: [], ritualMasses: [], votiveMasses: [], massesForTheDead: [] // Undated sections
+    };
     
-    const readings = { A: [], B: [], C: [], I: [], II: [] }; // Initialize structure for Sunday cycles and weekday cycles
+    // Heading of the undated section the following rows belong to (set by a heading row)
+    let currentSection = null;
     
-    for (const record of records) {
+    for (const { record, row } of records) {
         // Handle different CSV column names
         const columnNames = Object.keys(record);
         const dayDescColumn = columnNames.find(name => 
             name.includes('Sunday') || 
             name.includes('Feast') || 
-            name.includes('Day')) || 'Sunday' || 'Day';
+            name.includes('Day') ||
+            name.includes('Celebration') ||
+            name.includes('Section')) || 'Sunday' || 'Day';
             
         const firstReadingRef = record['First Reading'];
         const psalmRef = record['Responsorial Psalm'];
         const secondReadingRef = record['Second Reading']; // May be undefined for weekdays
         
-        // Check for different variations of the Gospel Acclamation column
-        const alleluiaRef = record[columnNames.find(name => 
-            name.includes('Alleluia') || 
-            name.includes('Verse before') ||
-            name.includes('Gospel Acclamation')
-        )] || record['Verse before the Gospel'] || record['Alleluia'] || record['Alleluia Verse'];
+        // Check for different variations of the Gospel Acclamation column; the first one filled in
+        // gives the acclamation and its type (Alleluia or Lenten verse)
+        const acclamationColumns = columnNames.filter(name => ACCLAMATION_COLUMN_PATTERN.test(name));
+        const alleluiaColumn = acclamationColumns.find(name => record[name]) || acclamationColumns[0];
+        const alleluiaRef = alleluiaColumn ? record[alleluiaColumn] : undefined;
+        const acclamation = {
+            cell: alleluiaRef,
+            column: alleluiaColumn,
+            text: record[columnNames.find(name => ACCLAMATION_TEXT_COLUMN_PATTERN.test(name.trim()))]
+        };
         
         const gospelRef = record['Gospel'];
         
-        const dayDescription = record[dayDescColumn];
-        if (!dayDescription) continue; // Skip rows without a day description
-        
-        // Check if this is a weekday (contains a day of week like Mon, Tues, etc.)
-        const isWeekday = /\b(Mon|Tues|Wed|Thurs|Fri|Sat)\b/i.test(dayDescription);
+        const source = { file, row, column: dayDescColumn };
+        setDiagnosticSource({ ...source, record });
+        const getLectionaryNumber = getLectionaryNumbers(record);
         
-        // Check if this is Palm Sunday (special case)
-        const isPalmSunday = /palm\s+sunday/i.test(dayDescription);
-        
-        // Determine if this is a special feast or a regular Sunday
-        const isRegularSunday = /(\d+)(?:st|nd|rd|th)\s+Sunday\s+(?:in|of)\s+(\w+)\s+[–-]\s+([ABC])/i.test(dayDescription);
+        const dayDescription = record[dayDescColumn];
+        if (!dayDescription) {
+            // Skip rows without a day description, but not silently if they hold readings
+            if ([firstReadingRef, psalmRef, secondReadingRef, alleluiaRef, gospelRef].some(Boolean)) {
+                report('skipped-row', 'error', 'Row has readings but no day description', { text: Object.values(record).filter(Boolean).join(' | '), column: dayDescColumn });
+            }
+            continue;
+        }
         
-        if (isWeekday) {
-            // Handle weekday readings
-            // Match both formats: "2nd Week of Easter - Mon" and "Octave of Easter - Mon"
-            const weekdayMatch = dayDescription.match(/(?:(?:(\d+)(?:st|nd|rd|th))?\s+(?:Week|Octave)\s+of\s+(\w+)|Octave\s+of\s+(\w+))\s+-\s+(\w+)/i);
-            if (!weekdayMatch) {
-                console.warn(`Could not parse weekday description: ${dayDescription}`);
+        // Check if this is a Common, Ritual Mass, Votive Mass or Mass for the Dead. A row that
+        // only holds a heading starts a section; the rows after it name a category within it
+        // ("Common of Holy Men and Women" followed by "For Religious").
+        const sectionTarget = getUndatedSection(dayDescription);
+        if (!sectionTarget && isProperDayDescription(dayDescription)) {
+            currentSection = null;
+        }
+        if (sectionTarget || currentSection) {
+            const hasReadings = [firstReadingRef, psalmRef, secondReadingRef, alleluiaRef, gospelRef].some(Boolean);
+            if (sectionTarget && !hasReadings) {
+                currentSection = dayDescription.trim();
                 continue;
             }
+            // A row with its own heading in another section ends the current one
+            if (sectionTarget && currentSection && getUndatedSection(currentSection) !== sectionTarget) {
+                currentSection = null;
+            }
             
-            // If we matched the "Octave of Easter - Day" pattern, then index 3 has the season and index 4 has the day
-            // Otherwise, index 1 has the week number, index 2 has the season, and index 4 has the day
-            const isOctave = !weekdayMatch[1] || weekdayMatch[3];
-            const weekNumber = isOctave ? 1 : parseInt(weekdayMatch[1]); // Octave is week 1
-            const season = (weekdayMatch[3] || weekdayMatch[2]).toUpperCase(); // e.g., "EASTER"
-            const dayOfWeek = weekdayMatch[4]; // e.g., "Mon"
+            // "Ritual Masses: Marriage" carries its own category; otherwise use the section heading
+            const heading = sectionTarget ? dayDescription.trim() : `${currentSection}: ${dayDescription.trim()}`;
+            const colonIndex = heading.indexOf(':');
             
-            // Determine day number within week (1 = Monday, 6 = Saturday)
-            const dayMapping = {
-                'Mon': 1, 'Tues': 2, 'Wed': 3, 'Thurs': 4, 'Fri': 5, 'Sat': 6, 'Sun': 0
-            };
+            readings[getUndatedSection(heading)].push({
+                sourceName: dayDescription,
+                source: source,
+                lectionaryNumber: getLectionaryNumber(null),
+                heading: heading,
+                section: colonIndex > 0 ? heading.slice(0, colonIndex).trim() : heading,
+                category: colonIndex > 0 ? heading.slice(colonIndex + 1).trim() : null,
+                readings: {
+                    first_reading: processReferenceMenu(firstReadingRef),
+                    responsorial_psalm: addResponse(processReferenceMenu(psalmRef), getResponseCells(record)),
+                    second_reading: processReferenceMenu(secondReadingRef),
+                    // Commons and ritual Masses have no season: their acclamation is not checked for Lent
+                    gospel_acclamation: addAcclamation(processReferenceMenu(alleluiaRef), acclamation, false),
+                    gospel: processReferenceMenu(gospelRef, true)
+                }
+            });
+            continue;
+        }
+        
+        // Check if this is a dated celebration of the Proper of Saints (e.g. "08-15 Assumption of the BVM: Vigil Mass")
+        const sanctoralMatch = dayDescription.match(/^(\d{1,2})[-/](\d{1,2})\s+(.+)$/);
+        if (sanctoralMatch) {
+            const date = normalizeDate(sanctoralMatch[1].padStart(2, '0') + sanctoralMatch[2].padStart(2, '0'));
+            let celebrationName = sanctoralMatch[3].trim();
+            let massType = null;
             
-            const dayNumber = dayMapping[dayOfWeek] || 0;
+            // Split off a Mass type after the last colon ("...: Vigil Mass", "...: Mass during the Day")
+            const colonIndex = celebrationName.lastIndexOf(':');
+            if (colonIndex > 0 && normalizeMassType(celebrationName.slice(colonIndex + 1).trim())) {
+                massType = celebrationName.slice(colonIndex + 1).trim();
+                celebrationName = celebrationName.slice(0, colonIndex).trim();
+            }
             
-            // Map day of week to full name
-            const fullDayNames = {
-                'Mon': 'Monday', 'Tues': 'Tuesday', 'Wed': 'Wednesday', 
-                'Thurs': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday', 'Sun': 'Sunday'
-            };
+            // The season of a date depends on the year; only dates always in Lent are checked
+            const isLenten = isAlwaysInLent(date);
+            checkAcclamation(acclamation, isLenten);
             
-            const fullDayName = fullDayNames[dayOfWeek] || dayOfWeek;
+            readings.saints.push({
+                sourceName: dayDescription,
+                source: source,
+                lectionaryNumber: getLectionaryNumber(null),
+                feastName: celebrationName,
+                date: date,
+                massType: massType,
+                readings: {
+                    first_reading: processReference(firstReadingRef),
+                    responsorial_psalm: addResponse(processReference(psalmRef), getResponseCells(record)),
+                    second_reading: processReference(secondReadingRef),
+                    gospel_acclamation: addAcclamation(processReference(alleluiaRef), acclamation, isLenten),
+                    gospel: processReference(gospelRef, true)
+                }
+            });
+            continue;
+        }
+        
+        // Check if this is a weekday (e.g. "2nd Week of Easter - Mon", "December 17", "Ash Wednesday")
+        const weekday = parseWeekdayDescription(dayDescription);
+        
+        // Check if this is Palm Sunday (special case)
+        const isPalmSunday = /palm\s+sunday/i.test(dayDescription);
+        
+        // Determine if this is a special feast or a regular Sunday
+        const isRegularSunday = /(\d+)(?:st|nd|rd|th)\s+Sunday\s+(?:in|of)\s+(Ordinary\s+Time|\w+)\s+[–-]\s+([ABC])/i.test(dayDescription);
+        
+        if (weekday) {
+            checkAcclamation(acclamation, isWithoutAlleluia(weekday.season));
             
-            // Create reading info for both weekday cycles
+            // Create reading info for both weekday cycles. Tables with separate
+            // "Year I" and "Year II" columns (Ordinary Time) give each cycle its
+            // own first reading and psalm; otherwise both cycles share one row.
             for (const cycle of ['I', 'II']) {
-                const feastName = isOctave 
-                    ? `${fullDayName} within the Octave of Easter` 
-                    : `${fullDayName} of the ${getOrdinalSuffix(weekNumber)} Week of Easter`;
-                
                 let readingInfo = {
                     sourceName: dayDescription,
-                    feastName: feastName,
+                    source: source,
+                    lectionaryNumber: getLectionaryNumber(cycle),
+                    feastName: weekday.feastName,
                     cycle: cycle, // Weekday cycles are I and II
-                    weekNumber: weekNumber,
-                    season: season,
-                    dayOfWeek: fullDayName,
-                    dayInWeek: dayNumber,
-                    isFeast: isOctave, // Days in the Octave are special
-                    feastIdentifier: isOctave ? `easter_octave_${dayOfWeek.toLowerCase()}` : null,
+                    weekNumber: weekday.weekNumber,
+                    season: weekday.season,
+                    dayOfWeek: weekday.dayOfWeek,
+                    dayInWeek: weekday.dayInWeek,
+                    date: weekday.date,
+                    isFeast: weekday.isOctave, // Days in the Octave are special
+                    feastIdentifier: weekday.feastIdentifier,
+                    identifierBase: weekday.identifierBase,
+                    romcalKey: weekday.romcalKey,
                     readings: {
-                        first_reading: processReference(firstReadingRef),
-                        responsorial_psalm: processReference(psalmRef),
+                        first_reading: processReference(getCycleValue(record, 'First Reading', cycle)),
+                        responsorial_psalm: addResponse(processReference(getCycleValue(record, 'Responsorial Psalm', cycle)), getResponseCells(record, null, cycle)),
                         // No second reading for weekdays
-                        gospel_acclamation: processReference(alleluiaRef),
+                        gospel_acclamation: addAcclamation(processReference(alleluiaRef), acclamation, isWithoutAlleluia(weekday.season)),
                         gospel: processReference(gospelRef, true)
                     }
                 };
@@ -295,13 +897,14 @@ function extractReadingsFromCSV(csvContent) {
             }
         } else if (isRegularSunday || isPalmSunday) {
             // Handle regular Sundays and Palm Sunday
-            const descMatch = dayDescription.match(/(?:(\d+)(?:st|nd|rd|th)\s+Sunday\s+(?:in|of)\s+(\w+)|(.+?))\s+[–-]\s+([ABC])/i);
+            const descMatch = dayDescription.match(/(?:(\d+)(?:st|nd|rd|th)\s+Sunday\s+(?:in|of)\s+(Ordinary\s+Time|\w+)|(.+?))\s+[–-]\s+([ABC]+)/i);
             if (!descMatch) {
-                console.warn(`Could not parse Sunday description: ${dayDescription}`);
+                report('skipped-row', 'error', 'Could not parse Sunday description', { text: dayDescription, column: dayDescColumn });
                 continue;
             }
             
-            const cycle = descMatch[4]; // The cycle is always in the last capture group
+            // The cycles are always in the last capture group; Palm Sunday rows cover all three ("– ABC")
+            const cycles = descMatch[4].toUpperCase().split('');
             let weekNumber = null;
             let seasonName = '';
             
@@ -310,48 +913,61 @@ function extractReadingsFromCSV(csvContent) {
                 seasonName = 'LENT';
             } else {
                 weekNumber = parseInt(descMatch[1]);
-                seasonName = descMatch[2].toUpperCase(); // e.g., ADVENT
+                seasonName = getSeasonKey(descMatch[2]); // e.g., ADVENT, ORDINARY
             }
             
             // Basic validation
-            if (!cycle || !['A', 'B', 'C'].includes(cycle)) {
-                console.warn(`Invalid or missing cycle in: ${dayDescription}`);
+            if (cycles.length === 0 || !cycles.every(cycle => ['A', 'B', 'C'].includes(cycle))) {
+                report('skipped-row', 'error', 'Invalid or missing cycle', { text: dayDescription, column: dayDescColumn });
                 continue;
             }
             
+            checkAcclamation(acclamation, isWithoutAlleluia(seasonName));
+            
             // Create object to store information about this reading
             let feastName = '';
+            let massType = null;
             if (isPalmSunday) {
                 feastName = 'Palm Sunday of the Passion of the Lord';
+                // The Procession with Palms and the Mass are separate Masses ("Palm Sunday: At the Mass")
+                const colonIndex = descMatch[3].lastIndexOf(':');
+                massType = colonIndex > 0 ? descMatch[3].slice(colonIndex + 1).trim() : null;
             } else {
-                feastName = `${getOrdinalSuffix(weekNumber)} Sunday of ${seasonName}`;
+                feastName = seasonName === 'ORDINARY'
+                    ? `${getOrdinalSuffix(weekNumber)} Sunday in Ordinary Time`
+                    : `${getOrdinalSuffix(weekNumber)} Sunday of ${seasonName}`;
             }
             
-            let readingInfo = {
-                sourceName: dayDescription, // Keep original name for matching/debugging
-                feastName: feastName,
-                cycle: cycle,
-                weekNumber: weekNumber,
-                season: seasonName,
-                dayOfWeek: 'Sunday',
-                isFeast: isPalmSunday, // Palm Sunday is a special feast
-                feastIdentifier: isPalmSunday ? 'palm_sunday' : null,
-                readings: {
-                    first_reading: isPalmSunday && firstReadingRef === 'x' ? [] : processReference(firstReadingRef),
-                    responsorial_psalm: isPalmSunday && psalmRef === 'x' ? [] : processReference(psalmRef),
-                    second_reading: isPalmSunday && secondReadingRef === 'x' ? [] : processReference(secondReadingRef),
-                    gospel_acclamation: isPalmSunday && alleluiaRef === 'x' ? [] : processReference(alleluiaRef),
-                    gospel: processReference(gospelRef, true, cycle)
-                }
-            };
-            
-            // Add the reading data to the appropriate cycle
-            readings[cycle].push(readingInfo);
+            for (const cycle of cycles) {
+                let readingInfo = {
+                    sourceName: dayDescription, // Keep original name for matching/debugging
+                    source: source,
+                    lectionaryNumber: getLectionaryNumber(cycle),
+                    feastName: feastName,
+                    cycle: cycle,
+                    weekNumber: weekNumber,
+                    season: seasonName,
+                    dayOfWeek: 'Sunday',
+                    massType: massType,
+                    isFeast: isPalmSunday, // Palm Sunday is a special feast
+                    feastIdentifier: isPalmSunday ? 'palm_sunday' : null,
+                    readings: {
+                        first_reading: isPalmSunday && firstReadingRef === 'x' ? [] : processReference(firstReadingRef),
+                        responsorial_psalm: isPalmSunday && psalmRef === 'x' ? [] : addResponse(processReference(psalmRef), getResponseCells(record)),
+                        second_reading: isPalmSunday && secondReadingRef === 'x' ? [] : processReference(secondReadingRef),
+                        gospel_acclamation: isPalmSunday && alleluiaRef === 'x' ? [] : addAcclamation(processReference(alleluiaRef), acclamation, isWithoutAlleluia(seasonName)),
+                        gospel: processReference(gospelRef, true, cycle)
+                    }
+                };
+                
+                // Add the reading data to the appropriate cycle
+                readings[cycle].push(readingInfo);
+            }
         } else {
             // Handle special feasts and solemnities (e.g., "Christmas: At the Vigil Mass - ABC")
-            const feastMatch = dayDescription.match(/([^-]+)\s*-\s*([ABC]+)/i);
+            const feastMatch = dayDescription.match(/([^-–]+)\s*[–-]\s*([ABC]+)/i);
             if (!feastMatch) {
-                console.warn(`Could not parse feast description: ${dayDescription}`);
+                report('skipped-row', 'error', 'Could not parse feast description', { text: dayDescription, column: dayDescColumn });
                 continue;
             }
             
@@ -361,6 +977,14 @@ function extractReadingsFromCSV(csvContent) {
             // Determine season based on feast name
             let season = '';
             let feastIdentifier = '';
+            let weekNumber = null;
+            let dayOfWeek = 'Sunday'; // Most of these special feasts are on Sundays
+            
+            // Split off a Mass type after the last colon ("Holy Thursday: Evening Mass of the Lord's Supper")
+            const colonIndex = feastName.lastIndexOf(':');
+            const massType = colonIndex > 0 && normalizeMassType(feastName.slice(colonIndex + 1).trim())
+                ? feastName.slice(colonIndex + 1).trim()
+                : null;
             
             if (feastName.toLowerCase().includes('christmas')) {
                 season = 'CHRISTMAS';
@@ -377,8 +1001,42 @@ function extractReadingsFromCSV(csvContent) {
                 season = 'CHRISTMAS';
                 feastIdentifier = 'epiphany';
             } else if (feastName.toLowerCase().includes('baptism')) {
-                season = 'ORDINARY';
+                season = 'CHRISTMAS'; // The Baptism of the Lord closes Christmas Time
                 feastIdentifier = 'baptism_of_the_lord';
+            } else if (/chrism\s+mass/i.test(feastName)) {
+                season = 'LENT'; // Celebrated on the morning of Holy Thursday, before the Triduum
+                feastIdentifier = 'chrism_mass';
+                weekNumber = 6;
+                dayOfWeek = 'Thursday';
+            } else if (/lord[’']s\s+supper|holy\s+thursday/i.test(feastName)) {
+                season = 'TRIDUUM';
+                feastIdentifier = 'holy_thursday_lords_supper';
+                dayOfWeek = 'Thursday';
+            } else if (/good\s+friday|friday\s+of\s+the\s+passion|celebration\s+of\s+the\s+passion/i.test(feastName)) {
+                season = 'TRIDUUM';
+                feastIdentifier = 'good_friday';
+                dayOfWeek = 'Friday';
+            } else if (/easter\s+vigil|holy\s+saturday/i.test(feastName)) {
+                season = 'TRIDUUM';
+                feastIdentifier = 'easter_vigil';
+                dayOfWeek = 'Saturday';
+            } else if (/easter\s+sunday/i.test(feastName)) {
+                season = 'TRIDUUM'; // The Triduum closes with Evening Prayer of Easter Sunday
+                feastIdentifier = 'easter_sunday';
+            } else if (feastName.toLowerCase().includes('trinity')) {
+                season = 'ORDINARY';
+                feastIdentifier = 'most_holy_trinity';
+            } else if (feastName.toLowerCase().includes('body and blood') || feastName.toLowerCase().includes('corpus christi')) {
+                season = 'ORDINARY';
+                feastIdentifier = 'corpus_christi';
+            } else if (feastName.toLowerCase().includes('sacred heart')) {
+                season = 'ORDINARY';
+                feastIdentifier = 'sacred_heart';
+                dayOfWeek = 'Friday'; // Friday after the Second Sunday after Pentecost
+            } else if (feastName.toLowerCase().includes('king of the universe') || feastName.toLowerCase().includes('christ the king')) {
+                season = 'ORDINARY';
+                feastIdentifier = 'christ_the_king';
+                weekNumber = 34; // Last Sunday in Ordinary Time
             } else {
                 season = 'SPECIAL';
                 feastIdentifier = feastName.trim().toLowerCase()
@@ -386,22 +1044,33 @@ function extractReadingsFromCSV(csvContent) {
                     .replace(/[:,']/g, '');
             }
             
+            const isLenten = isWithoutAlleluia(season, feastIdentifier);
+            checkAcclamation(acclamation, isLenten);
+            
+            // Optional readings of a feast ("The Holy Family - B (optional)") are a Mass of their own
+            const isOptionalMass = /\(optional\)\s*$/i.test(dayDescription);
+            
             // Create reading objects for each applicable cycle
             for (const cycle of cycles) {
+                const sequence = buildReadingSequence(record, dayDescColumn, cycle, acclamation, isLenten);
                 const readingInfo = {
                     sourceName: dayDescription,
+                    source: source,
+                    lectionaryNumber: getLectionaryNumber(cycle),
                     feastName: feastName.trim(),
                     cycle: cycle,
-                    weekNumber: null,
+                    weekNumber: weekNumber,
                     season: season,
-                    dayOfWeek: 'Sunday', // Most of these special feasts are on Sundays
+                    dayOfWeek: dayOfWeek,
+                    massType: massType,
                     isFeast: true,
                     feastIdentifier: feastIdentifier,
-                    readings: {
+                    isOptionalMass: isOptionalMass,
+                    readings: sequence ? getReadingsFromSequence(sequence) : {
                         first_reading: processReference(firstReadingRef),
-                        responsorial_psalm: processReference(psalmRef),
+                        responsorial_psalm: addResponse(processReference(psalmRef), getResponseCells(record)),
                         second_reading: processReference(secondReadingRef),
-                        gospel_acclamation: processReference(alleluiaRef),
+                        gospel_acclamation: addAcclamation(processReference(alleluiaRef), acclamation, isLenten),
                         gospel: processReference(gospelRef, true, cycle)
                     }
                 };
@@ -411,9 +1080,17 @@ function extractReadingsFromCSV(csvContent) {
         }
     }
     
+    setDiagnosticSource(null);
     return readings;
 }
 
+// Readers of the input files by extension
+const INPUT_EXTRACTORS = {
+    '.csv': extractReadingsFromCSV,
+    '.html': extractReadingsFromHTML,
+    '.htm': extractReadingsFromHTML
+};
+
 // Function to get ordinal suffix
 function getOrdinalSuffix(num) {
     const j = num % 10;
@@ -424,17 +1101,25 @@ function getOrdinalSuffix(num) {
     return num + "th";
 }
 
+// romcal ids of Sundays that do not follow the "<season>_<week>_sunday" pattern
+const SUNDAY_KEY_OVERRIDES = {
+    'EASTER_1': 'easter_sunday',
+    'EASTER_2': 'divine_mercy_sunday',
+    'ORDINARY_34': 'our_lord_jesus_christ_king_of_the_universe'
+};
+
 // Helper function to find matching day definition from romcal definitions
 function findMatchingDefinition(definitions, season, weekNumber, computedPropsMap) {
-    console.log(`Looking for definition match:`, { season, weekNumber });
+    log(`Looking for definition match:`, { season, weekNumber });
+    
+    // Build the romcal id of the Sunday, e.g. "advent_1_sunday" or "ordinary_time_15_sunday"
+    const seasonInfo = Object.values(WEEKDAY_SEASONS).find(info => info.season === season);
+    const romcalKey = SUNDAY_KEY_OVERRIDES[`${season}_${weekNumber}`] ||
+        (seasonInfo ? `${seasonInfo.romcalPrefix}_${weekNumber}_sunday` : null);
     
     // Filter definitions for the specific season and week
     const matchingDefinitions = Object.values(definitions).filter(def => {
-        // Check if this is a Sunday in the correct season and week
-        return def.id && 
-               def.id.includes('_sunday') && 
-               def.id.includes(`${season.toLowerCase()}_${weekNumber}_`) && 
-               !def.id.includes('ord_'); // Avoid matching Ordinary Time if looking for another season
+        return def.id && def.id === romcalKey;
     });
     
     if (matchingDefinitions.length > 0) {
@@ -442,7 +1127,7 @@ function findMatchingDefinition(definitions, season, weekNumber, computedPropsMa
         // Get computed properties if available
         const computedProps = computedPropsMap?.get(match.id) || {};
         
-        console.log(`Found matching definition:`, {
+        log(`Found matching definition:`, {
             id: match.id,
             name: computedProps.name || match.name,
             seasonNames: computedProps.seasonNames,
@@ -459,13 +1144,13 @@ function findMatchingDefinition(definitions, season, weekNumber, computedPropsMa
         };
     }
     
-    console.log('No matching definition found');
+    log('No matching definition found');
     return null;
 }
 
 // Function to list romcal definitions matching a pattern with more detailed information
 function listRomcalFeasts(definitions, pattern, computedPropsMap) {
-    console.log(`Looking for romcal feasts matching pattern: ${pattern}`);
+    log(`Looking for romcal feasts matching pattern: ${pattern}`);
     
     const matches = Object.values(definitions).filter(def => {
         return def.id && (
@@ -475,23 +1160,23 @@ function listRomcalFeasts(definitions, pattern, computedPropsMap) {
     });
     
     if (matches.length > 0) {
-        console.log(`Found ${matches.length} matching romcal definitions:`);
+        log(`Found ${matches.length} matching romcal definitions:`);
         matches.forEach(match => {
             // Get computed properties if available
             const computedProps = computedPropsMap?.get(match.id) || {};
             
-            console.log(`- ID: ${match.id}`);
-            console.log(`  Name: ${computedProps.name || match.name}`);
-            console.log(`  Season Names: ${computedProps.seasonNames?.join(', ') || 'undefined'}`);
-            console.log(`  Color Names: ${computedProps.colorNames?.join(', ') || 'undefined'}`);
-            console.log(`  Rank: ${computedProps.rankName || match.rank?.name || 'undefined'}`);
+            log(`- ID: ${match.id}`);
+            log(`  Name: ${computedProps.name || match.name}`);
+            log(`  Season Names: ${computedProps.seasonNames?.join(', ') || 'undefined'}`);
+            log(`  Color Names: ${computedProps.colorNames?.join(', ') || 'undefined'}`);
+            log(`  Rank: ${computedProps.rankName || match.rank?.name || 'undefined'}`);
             if (match.date) {
-                console.log(`  Date: ${match.date}`);
+                log(`  Date: ${match.date}`);
             }
-            console.log(''); // Empty line for better readability
+            log(''); // Empty line for better readability
         });
     } else {
-        console.log(`No romcal definitions found matching pattern: ${pattern}`);
+        log(`No romcal definitions found matching pattern: ${pattern}`);
     }
     
     return matches;
@@ -499,7 +1184,7 @@ function listRomcalFeasts(definitions, pattern, computedPropsMap) {
 
 // Helper function to find feast definition from romcal
 function findFeastDefinition(definitions, feastIdentifier, computedPropertiesMap) {
-    console.log(`Looking for feast definition match:`, { feastIdentifier });
+    log(`Looking for feast definition match:`, { feastIdentifier });
     
     // Build a mapping of common feast identifiers to romcal keys
     const feastMappings = {
@@ -508,10 +1193,20 @@ function findFeastDefinition(definitions, feastIdentifier, computedPropertiesMap
         'christmas_mass_at_dawn': 'nativity',
         'christmas_mass_during_the_day': 'nativity',
         'holy_family': 'holy_family_of_jesus_mary_and_joseph',
+        'second_sunday_after_christmas': 'second_sunday_after_christmas',
         'mary_mother_of_god': 'mary_mother_of_god',
         'epiphany': 'epiphany',
         'baptism_of_the_lord': 'baptism_of_the_lord',
+        'most_holy_trinity': 'most_holy_trinity',
+        'corpus_christi': 'most_holy_body_and_blood_of_christ',
+        'sacred_heart': 'most_sacred_heart_of_jesus',
+        'christ_the_king': 'our_lord_jesus_christ_king_of_the_universe',
         'palm_sunday': 'palm_sunday_of_the_passion_of_the_lord',
+        'chrism_mass': 'holy_thursday',
+        'holy_thursday_lords_supper': 'thursday_of_the_lords_supper',
+        'good_friday': 'friday_of_the_passion_of_the_lord',
+        'easter_vigil': 'holy_saturday',
+        'easter_sunday': 'easter_sunday',
         'easter_octave_mon': 'easter_monday',
         'easter_octave_tues': 'easter_tuesday',
         'easter_octave_wed': 'easter_wednesday',
@@ -533,7 +1228,7 @@ function findFeastDefinition(definitions, feastIdentifier, computedPropertiesMap
         const match = matchingDefinitions[0];
         const computedProps = computedPropertiesMap?.get(match.id) || {};
         
-        console.log(`Found feast definition:`, {
+        log(`Found feast definition:`, {
             id: match.id,
             name: computedProps.name || match.name,
             seasonNames: computedProps.seasonNames,
@@ -551,7 +1246,114 @@ function findFeastDefinition(definitions, feastIdentifier, computedPropertiesMap
         };
     }
     
-    console.log('No feast definition found');
+    log('No feast definition found');
+    return null;
+}
+
+// Celebrations of the Proper of Saints whose romcal date is computed by a date function
+// (so that it can be transferred) rather than given as a month and day
+const SANCTORAL_DATE_FUNCTIONS = {
+    'presentation_of_the_lord': '02-02',
+    'annunciation_of_the_lord': '03-25',
+    'nativity_of_john_the_baptist': '06-24',
+    'peter_and_paul_apostles': '06-29',
+    'transfiguration_of_the_lord': '08-06',
+    'assumption_of_the_blessed_virgin_mary': '08-15',
+    'exaltation_of_the_holy_cross': '09-14',
+    'all_saints': '11-01',
+    'immaculate_conception_of_the_blessed_virgin_mary': '12-08'
+};
+
+// Words ignored when comparing celebration names and building identifiers
+const NAME_STOPWORDS = ['the', 'of', 'and', 'saint', 'saints', 'st', 'sts', 'bvm'];
+
+// Split a celebration name into lowercase words, expanding common abbreviations
+function getNameTokens(name) {
+    return (name || '')
+        .replace(/\bBVM\b/g, 'Blessed Virgin Mary')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Strip accents (e.g., "André")
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !NAME_STOPWORDS.includes(token));
+}
+
+// Get the MM-DD date on which a sanctoral definition is celebrated when not transferred
+function getSanctoralDate(def) {
+    if (def.dateDef?.month && def.dateDef?.date) {
+        return normalizeDate(String(def.dateDef.month).padStart(2, '0') + String(def.dateDef.date).padStart(2, '0'));
+    }
+    return SANCTORAL_DATE_FUNCTIONS[def.id] || null;
+}
+
+// Turn a name into an identifier fragment, e.g. "Common of Holy Men and Women" => "common_holy_men_women"
+function slugify(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !NAME_STOPWORDS.includes(token))
+        .join('_');
+}
+
+// Build an identifier like "saint_assumption_0815" (or "saint_assumption_vigil_0815")
+function getSanctoralIdentifier(celebrationName, date, massType) {
+    // Leave out titles after a comma (e.g., "Saint Mary Magdalene, Disciple of the Lord")
+    const slug = slugify(celebrationName.split(',')[0]);
+    
+    return ['saint', slug, massType, date.replace('-', '')].filter(Boolean).join('_');
+}
+
+// Helper function to find the sanctoral definition celebrated on a date from romcal
+function findSanctoralDefinition(definitions, date, celebrationName, computedPropertiesMap) {
+    log(`Looking for sanctoral definition match:`, { date, celebrationName });
+    
+    // Candidates are the celebrations of the Proper of Saints on the same date
+    const candidates = Object.values(definitions).filter(def => {
+        return def.id && def.fromCalendarId !== 'ProperOfTime' && getSanctoralDate(def) === date;
+    });
+    
+    // Score candidates by the share of name words they have in common with the CSV
+    const nameTokens = getNameTokens(celebrationName);
+    let bestMatch = null;
+    let bestScore = 0;
+    for (const def of candidates) {
+        const computedProps = computedPropertiesMap?.get(def.id) || {};
+        const defTokens = new Set([
+            ...getNameTokens(computedProps.name || def.name),
+            ...def.id.split('_')
+        ]);
+        const score = nameTokens.filter(token => defTokens.has(token)).length / (nameTokens.length || 1);
+        if (score > bestScore) {
+            bestScore = score;
+            bestMatch = def;
+        }
+    }
+    
+    // A single celebration on the date is a match even if it is named differently
+    if (!bestMatch && candidates.length === 1) {
+        bestMatch = candidates[0];
+    }
+    
+    if (bestMatch) {
+        const computedProps = computedPropertiesMap?.get(bestMatch.id) || {};
+        
+        log(`Found sanctoral definition:`, {
+            id: bestMatch.id,
+            name: computedProps.name || bestMatch.name,
+            rankName: computedProps.rankName || bestMatch.rank
+        });
+        
+        // Enhance the definition with computed properties
+        return {
+            ...bestMatch,
+            name: computedProps.name || bestMatch.name,
+            seasonNames: computedProps.seasonNames || [],
+            colorNames: computedProps.colorNames || [],
+            rankName: computedProps.rankName || bestMatch.rank
+        };
+    }
+    
+    log('No sanctoral definition found');
     return null;
 }
 
@@ -592,6 +1394,22 @@ function determineSeason(id, name) {
         return 'CHRISTMAS';
     }
     
+    // Match the Paschal Triduum, from the Evening Mass of the Lord's Supper to Easter Sunday
+    if (
+        idLower.includes('lords_supper') ||
+        idLower.includes('friday_of_the_passion') ||
+        idLower.includes('holy_saturday') ||
+        idLower.includes('easter_vigil') ||
+        idLower.includes('triduum') ||
+        /lord[’']s supper/.test(nameLower) ||
+        nameLower.includes('good friday') ||
+        nameLower.includes('friday of the passion') ||
+        nameLower.includes('easter vigil') ||
+        nameLower.includes('triduum')
+    ) {
+        return 'TRIDUUM';
+    }
+    
     // Match Lent season
     if (
         idLower.includes('lent') ||
@@ -613,10 +1431,18 @@ function determineSeason(id, name) {
         return 'EASTER';
     }
     
-    // Match Ordinary Time
+    // Match Ordinary Time, including the Solemnities of the Lord after Pentecost
     if (
         idLower.includes('ordinary') ||
-        nameLower.includes('ordinary time')
+        idLower.includes('most_holy_trinity') ||
+        idLower.includes('body_and_blood') ||
+        idLower.includes('sacred_heart') ||
+        idLower.includes('king_of_the_universe') ||
+        nameLower.includes('ordinary time') ||
+        nameLower.includes('trinity') ||
+        nameLower.includes('body and blood') ||
+        nameLower.includes('sacred heart') ||
+        nameLower.includes('king of the universe')
     ) {
         return 'ORDINARY';
     }
@@ -644,7 +1470,13 @@ function normalizeRank(rank) {
         "Weekday": "Feria"
     };
     
-    return rankMapping[rank] || null;
+    // romcal definitions use enum values such as "OPTIONAL_MEMORIAL"
+    const normalized = rankMapping[rank] || rankMapping[String(rank).toLowerCase().replace(/_/g, ' ')];
+    if (!normalized) {
+        report('unknown-rank', 'warning', 'Unknown rank', { text: String(rank) });
+        return null;
+    }
+    return normalized;
 }
 
 function normalizeMassType(massType) {
@@ -653,377 +1485,710 @@ function normalizeMassType(massType) {
     
     const massTypeMapping = {
         "Vigil Mass": "vigil",
+        "At the Vigil Mass": "vigil",
+        "Vigil": "vigil",
         "Mass during the Night": "night",
         "Mass at Dawn": "dawn",
-        "Mass during the Day": "day"
+        "Mass during the Day": "day",
+        "At the Mass during the Day": "day",
+        "Evening Mass of the Lord's Supper": "evening",
+        "At the Evening Mass of the Lord's Supper": "evening",
+        "Celebration of the Passion of the Lord": "afternoon",
+        "Easter Vigil": "vigil",
+        "At the Easter Vigil": "vigil",
+        "Easter Vigil in the Holy Night": "vigil",
+        "Afternoon Mass": "afternoon",
+        "Evening Mass": "evening",
+        "At the Procession with Palms": "procession",
+        "Procession with Palms": "procession"
     };
     
-    return massTypeMapping[massType] || null;
+    // Accept typographic apostrophes ("Lord’s Supper")
+    return massTypeMapping[massType.replace(/’/g, "'")] || null;
 }
 
-async function main() {
-    try {
-        const outputPath = path.join(__dirname, '..', 'output', 'lectionary.json');
-        
-        // Initialize the output structure according to the schema
-        const output = {
-            lectionaryTitle: "USCCB Lectionary (based on 1998)",
-            schemaVersion: "1.3", // Updated to match new schema version
-            cycles: {
-                sundays: { A: [], B: [], C: [] },
-                weekdays: { I: [], II: [] }
-            },
-            properOfSaints: [],
-            commons: [],
-            ritualMasses: [],
-            votiveMasses: [],
-            massesForTheDead: []
-        };
-
-        // Initialize romcal
-        const romcal = new Romcal({
-            scope: 'liturgical',
-            locale: 'en',
-            localizedCalendar: UnitedStates_En,
-            epiphanyOnSunday: true,
-            corpusChristiOnSunday: true,
-            ascensionOnSunday: false,
-        });
-        
-        // Get all liturgical day definitions
-        console.log('Getting liturgical day definitions...');
-        const definitions = await romcal.getAllDefinitions();
-        console.log('Retrieved definitions for', Object.keys(definitions).length, 'liturgical days');
-        
-        // Generate calendar for current year to access computed properties
-        const currentYear = new Date().getFullYear();
-        const calendar = await romcal.generateCalendar(currentYear);
-        
-        // Create a mapping of definition IDs to instances with computed properties
-        const computedPropertiesMap = new Map();
-        
-        // Extract instances with computed properties from the calendar
-        for (const [date, days] of Object.entries(calendar)) {
-            if (Array.isArray(days) && days.length > 0) {
-                for (const day of days) {
-                    if (day.id) {
-                        // Create an object with computed properties
-                        const computedProps = {
-                            date: date,
-                            id: day.id,
-                        };
-                        
-                        // Extract all relevant computed properties
-                        for (const prop of COMPUTED_PROPERTIES) {
-                            if (prop in day) {
-                                computedProps[prop] = day[prop];
-                            }
-                        }
-                        
-                        // Store by ID for later lookup
-                        computedPropertiesMap.set(day.id, computedProps);
-                    }
-                }
-            }
-        }
-        
-        // Look for Holy Family feast and other important feasts
-        listRomcalFeasts(definitions, 'holy family', computedPropertiesMap);
-        listRomcalFeasts(definitions, 'christmas', computedPropertiesMap);
-        listRomcalFeasts(definitions, 'epiphany', computedPropertiesMap);
-        listRomcalFeasts(definitions, 'baptism', computedPropertiesMap);
-        
-        // Process CSV files with readings
-        const inputDir = path.join(__dirname, '..', 'input');
-        console.log('Looking for CSV files in:', inputDir);
-        const csvFiles = fs.readdirSync(inputDir)
-            .filter(file => file.endsWith('.csv'));
-        console.log('Found CSV files:', csvFiles);
-        
-        if (csvFiles.length === 0) {
-            console.error('No CSV files found in input directory');
-            return;
-        }
-
-        // Store all readings by cycle
-        const allReadings = { A: [], B: [], C: [], I: [], II: [] };
-        
-        for (const file of csvFiles) {
-            console.log(`Processing readings from ${file}...`);
-            const csvContent = fs.readFileSync(path.join(inputDir, file), 'utf-8');
-            const readings = extractReadingsFromCSV(csvContent);
-            
-            // Merge readings by cycle
-            for (const [cycle, cycleReadings] of Object.entries(readings)) {
-                if (cycleReadings && cycleReadings.length > 0) {
-                    allReadings[cycle].push(...cycleReadings);
-                }
-            }
+// Regenerate the reference text of every reading option (and psalm refrain) that has ranges in the chosen style
+function applyReferenceStyle(node, referenceStyle) {
+    if (Array.isArray(node)) {
+        node.forEach(item => applyReferenceStyle(item, referenceStyle));
+    } else if (node && typeof node === 'object') {
+        if (Array.isArray(node.ranges) && 'referenceStandard' in node) {
+            node.referenceStandard = formatReference(node.ranges, referenceStyle);
         }
+        Object.values(node).forEach(value => applyReferenceStyle(value, referenceStyle));
+    }
+}
 
-        console.log('Total readings collected:', {
-            A: allReadings.A.length,
-            B: allReadings.B.length,
-            C: allReadings.C.length,
-            I: allReadings.I.length,
-            II: allReadings.II.length
-        });
+// Resolve the text of every passage read, by OSIS reference; the missing verses of a passage
+// are reported once, for the first day that reads it
+function resolveTexts(output, textProvider) {
+    const passages = {};
+    for (const days of Object.values(getDayCollections(output))) {
+        for (const day of days) {
+            for (const options of Object.values(getReadingSlots(day))) {
+                for (const option of options || []) {
+                    if (!option.ranges || passages[option.referenceOsis]) continue;
 
-        // Process Sunday and Feast readings
-        for (const cycle of ['A', 'B', 'C']) {
-            console.log(`Processing ${allReadings[cycle].length} Sunday readings for cycle ${cycle}`);
-            for (const reading of allReadings[cycle]) {
-                if (reading.isFeast) {
-                    // Handle feast days
-                    const feastDefinition = findFeastDefinition(definitions, reading.feastIdentifier, computedPropertiesMap);
-                    
-                    // Generate identifier for the feast
-                    const identifier = reading.feastIdentifier + '_' + cycle.toLowerCase();
-                    
-                    // Special case for Christmas masses
-                    let massType = null;
-                    if (reading.feastIdentifier && reading.feastIdentifier.includes('christmas_')) {
-                        if (reading.feastIdentifier.includes('_vigil_')) {
-                            massType = 'Vigil Mass';
-                        } else if (reading.feastIdentifier.includes('_night')) {
-                            massType = 'Mass during the Night';
-                        } else if (reading.feastIdentifier.includes('_dawn')) {
-                            massType = 'Mass at Dawn';
-                        } else if (reading.feastIdentifier.includes('_day')) {
-                            massType = 'Mass during the Day';
-                        }
-                    }
-                    
-                    const liturgicalDay = {
-                        identifier: identifier,
-                        name: feastDefinition ? feastDefinition.name : reading.feastName,
-                        romcalKey: feastDefinition ? feastDefinition.id : null,
-                        season: feastDefinition?.seasonNames?.[0] || determineSeason(feastDefinition?.id, reading.feastName) || reading.season,
-                        week: null, // Feasts don't have week numbers
-                        dayOfWeek: "Sunday", // Most feasts are on Sunday
-                        date: null, // Most of these feasts are movable
-                        rank: normalizeRank(feastDefinition?.rankName || feastDefinition?.rank?.name || "Feast"),
-                        massType: normalizeMassType(massType),
-                        readings: reading.readings
-                    };
-                    
-                    // Add fixed dates for certain feasts
-                    if (reading.feastIdentifier === 'mary_mother_of_god') {
-                        liturgicalDay.date = '01-01'; // January 1
-                    }
-                    
-                    output.cycles.sundays[cycle].push(liturgicalDay);
-                } else {
-                    // Handle regular Sundays
-                    const definition = findMatchingDefinition(
-                        definitions,
-                        reading.season,
-                        reading.weekNumber, 
-                        computedPropertiesMap
-                    );
-                    
-                    if (definition) {
-                        // Generate a unique identifier
-                        const identifier = `${reading.season.toLowerCase()}_${reading.weekNumber}_sunday_${cycle.toLowerCase()}`;
-                        
-                        const computedProps = computedPropertiesMap.get(definition.id) || {};
-                        
-                        const liturgicalDay = {
-                            identifier: identifier,
-                            name: computedProps.name || definition.name,
-                            romcalKey: definition.id,
-                            season: computedProps.seasonNames?.[0] || definition.season || reading.season,
-                            week: reading.weekNumber,
-                            dayOfWeek: "Sunday",
-                            date: null, // No fixed date for movable feasts
-                            rank: normalizeRank(computedProps.rankName || definition.rank?.name || "Sunday"),
-                            massType: null, // Standard Sunday mass
-                            readings: reading.readings
-                        };
-                        output.cycles.sundays[cycle].push(liturgicalDay);
-                    } else {
-                        console.warn(`Could not find matching definition for:`, {
-                            sourceName: reading.sourceName,
-                            season: reading.season,
-                            week: reading.weekNumber,
-                            cycle: cycle
+                    const passage = resolvePassageText(textProvider, option.ranges);
+                    passages[option.referenceOsis] = passage;
+                    if (passage.missingVerses.length > 0) {
+                        report('missing-verse', 'warning', `Bible text has no ${passage.missingVerses.join(', ')}`, {
+                            text: option.referenceStandard,
+                            identifier: day.identifier
                         });
                     }
                 }
             }
         }
-        
-        // Process Weekday readings
-        for (const cycle of ['I', 'II']) {
-            console.log(`Processing ${allReadings[cycle].length} weekday readings for cycle ${cycle}`);
-            for (const reading of allReadings[cycle]) {
-                // Check if it's an octave day or other special feast
-                if (reading.isFeast) {
-                    const feastDefinition = findFeastDefinition(definitions, reading.feastIdentifier, computedPropertiesMap);
-                    
-                    // Generate identifier for the feast
-                    const identifier = reading.feastIdentifier + '_' + cycle.toLowerCase();
-                    
-                    const liturgicalDay = {
-                        identifier: identifier,
-                        name: feastDefinition ? feastDefinition.name : reading.feastName,
-                        romcalKey: feastDefinition ? feastDefinition.id : null,
-                        season: feastDefinition?.seasonNames?.[0] || determineSeason(feastDefinition?.id, reading.feastName) || reading.season,
-                        week: reading.weekNumber,
-                        dayOfWeek: reading.dayOfWeek,
-                        date: null, // These are movable feasts
-                        rank: normalizeRank(feastDefinition?.rankName || feastDefinition?.rank?.name || "Feast"),
-                        massType: null,
-                        readings: reading.readings
-                    };
-                    
-                    output.cycles.weekdays[cycle].push(liturgicalDay);
-                } else {
-                    // Regular weekday
-                    // Try to find a romcal definition for this day
-                    const romcalPattern = `easter_time_${reading.weekNumber}_${reading.dayOfWeek.toLowerCase()}`;
-                    
-                    // Find the definition for this weekday
-                    const matchingDefinitions = Object.values(definitions).filter(def => {
-                        return def.id && def.id.toLowerCase().includes(romcalPattern);
-                    });
-                    
-                    let romcalDef = null;
-                    if (matchingDefinitions.length > 0) {
-                        romcalDef = matchingDefinitions[0];
-                        const computedProps = computedPropertiesMap.get(romcalDef.id) || {};
-                        
-                        console.log(`Found weekday definition:`, {
-                            id: romcalDef.id,
-                            name: computedProps.name || romcalDef.name,
-                            seasonNames: computedProps.seasonNames,
-                            colorNames: computedProps.colorNames
-                        });
-                        
-                        // Enhance the definition with computed properties
-                        romcalDef = {
-                            ...romcalDef,
-                            name: computedProps.name || romcalDef.name,
-                            seasonNames: computedProps.seasonNames || [],
-                            colorNames: computedProps.colorNames || [],
-                            rankName: computedProps.rankName
-                        };
+    }
+    return passages;
+}
+
+// Add the resolved text to every reading option, with the verses the source lacks
+function embedTexts(output, passages) {
+    for (const days of Object.values(getDayCollections(output))) {
+        for (const day of days) {
+            for (const options of Object.values(getReadingSlots(day))) {
+                for (const option of options || []) {
+                    const passage = passages[option.referenceOsis];
+                    if (!option.ranges || !passage) continue;
+
+                    option.text = passage.text;
+                    if (passage.missingVerses.length > 0) {
+                        option.missingVerses = passage.missingVerses;
                     }
-                    
-                    // Generate a unique identifier
-                    const identifier = `${reading.season.toLowerCase()}_${reading.weekNumber}_${reading.dayOfWeek.toLowerCase()}_${cycle.toLowerCase()}`;
-                    
-                    const liturgicalDay = {
-                        identifier: identifier,
-                        name: romcalDef ? romcalDef.name : reading.feastName,
-                        romcalKey: romcalDef ? romcalDef.id : null,
-                        season: romcalDef?.seasonNames?.[0] || determineSeason(romcalDef?.id, romcalDef?.name) || reading.season,
-                        week: reading.weekNumber,
-                        dayOfWeek: reading.dayOfWeek,
-                        date: null,
-                        rank: normalizeRank(romcalDef?.rankName || romcalDef?.rank?.name || "Weekday"),
-                        massType: null,
-                        readings: reading.readings
-                    };
-                    
-                    output.cycles.weekdays[cycle].push(liturgicalDay);
                 }
             }
         }
-        
-        // Sort arrays by date (when available) and then by week number and day of week
-        function sortLiturgicalDays(a, b) {
-            // Put fixed dates first
-            if (a.date && !b.date) return -1;
-            if (!a.date && b.date) return 1;
+    }
+}
+
+// Days of a Sunday cycle: the feasts, and the numbered Sundays matched to romcal by season and week
+function buildSundayDays(cycle, readings, { definitions, computedPropertiesMap }) {
+    const days = [];
+    log(`Processing ${readings.length} Sunday readings for cycle ${cycle}`);
+    for (const reading of readings) {
+        setDiagnosticSource(reading.source);
+        if (reading.isFeast) {
+            // Handle feast days
+            const feastDefinition = findFeastDefinition(definitions, reading.feastIdentifier, computedPropertiesMap);
+            if (!feastDefinition) {
+                report('unmatched-day', 'warning', `No romcal definition for feast "${reading.feastIdentifier}"`, { text: reading.sourceName });
+            }
+            
+            // Generate identifier for the feast; its optional readings are told apart ("holy_family_optional_b")
+            const identifier = `${reading.feastIdentifier}${reading.isOptionalMass ? '_optional' : ''}_${cycle.toLowerCase()}`;
             
-            // Sort by date if both have dates
-            if (a.date && b.date) {
-                return a.date.localeCompare(b.date);
+            // Special case for Christmas masses; other feasts give their Mass type after a colon
+            let massType = reading.massType || null;
+            if (reading.feastIdentifier && reading.feastIdentifier.includes('christmas_')) {
+                if (reading.feastIdentifier.includes('_vigil_')) {
+                    massType = 'Vigil Mass';
+                } else if (reading.feastIdentifier.includes('_night')) {
+                    massType = 'Mass during the Night';
+                } else if (reading.feastIdentifier.includes('_dawn')) {
+                    massType = 'Mass at Dawn';
+                } else if (reading.feastIdentifier.includes('_day')) {
+                    massType = 'Mass during the Day';
+                }
             }
             
-            // Sort by season (Christmas before Ordinary)
-            const seasonOrder = { 'CHRISTMAS': 1, 'ORDINARY': 2, 'LENT': 3, 'EASTER': 4, 'ADVENT': 5 };
-            if (a.season !== b.season) {
-                return (seasonOrder[a.season] || 99) - (seasonOrder[b.season] || 99);
+            const liturgicalDay = {
+                identifier: identifier,
+                name: feastDefinition?.name || reading.feastName,
+                romcalKey: feastDefinition ? feastDefinition.id : null,
+                season: normalizeSeason(feastDefinition?.seasonNames?.[0] || determineSeason(feastDefinition?.id, reading.feastName) || reading.season),
+                week: reading.weekNumber, // Null for most feasts; Palm Sunday and Christ the King have one
+                dayOfWeek: reading.dayOfWeek, // Most feasts are on Sunday
+                date: null, // Most of these feasts are movable
+                rank: normalizeRank(feastDefinition?.rankName || feastDefinition?.rank?.name || "Feast"),
+                massType: normalizeMassType(massType),
+                lectionaryNumber: reading.lectionaryNumber,
+                source: reading.source,
+                readings: reading.readings
+            };
+            
+            // Add fixed dates for certain feasts
+            if (reading.feastIdentifier === 'mary_mother_of_god') {
+                liturgicalDay.date = '01-01'; // January 1
             }
             
-            // Sort by week number
-            if (a.week !== b.week) {
-                return (a.week || 0) - (b.week || 0);
+            days.push(liturgicalDay);
+        } else {
+            // Handle regular Sundays
+            const definition = findMatchingDefinition(
+                definitions,
+                reading.season,
+                reading.weekNumber, 
+                computedPropertiesMap
+            );
+            
+            if (definition) {
+                // Generate a unique identifier
+                const identifier = `${reading.season.toLowerCase()}_${reading.weekNumber}_sunday_${cycle.toLowerCase()}`;
+                
+                const computedProps = computedPropertiesMap.get(definition.id) || {};
+                
+                const liturgicalDay = {
+                    identifier: identifier,
+                    name: computedProps.name || definition.name || reading.feastName,
+                    romcalKey: definition.id,
+                    season: normalizeSeason(computedProps.seasonNames?.[0] || definition.season || reading.season),
+                    week: reading.weekNumber,
+                    dayOfWeek: "Sunday",
+                    date: null, // No fixed date for movable feasts
+                    rank: normalizeRank(computedProps.rankName || definition.rank?.name || "Sunday"),
+                    massType: null, // Standard Sunday mass
+                    lectionaryNumber: reading.lectionaryNumber,
+                    source: reading.source,
+                    readings: reading.readings
+                };
+                days.push(liturgicalDay);
+            } else {
+                report('unmatched-day', 'error', `No romcal definition for ${normalizeSeason(reading.season)} week ${reading.weekNumber}, Sunday not written (cycle ${cycle})`, { text: reading.sourceName });
+            }
+        }
+    }
+    return days;
+}
+
+// Days of a weekday cycle: the days of the Octaves, and the weekdays matched to romcal by key
+function buildWeekdayDays(cycle, readings, { definitions, computedPropertiesMap }) {
+    const days = [];
+    log(`Processing ${readings.length} weekday readings for cycle ${cycle}`);
+    for (const reading of readings) {
+        setDiagnosticSource(reading.source);
+        // Check if it's an octave day or other special feast
+        if (reading.isFeast) {
+            const feastDefinition = findFeastDefinition(definitions, reading.feastIdentifier, computedPropertiesMap);
+            if (!feastDefinition) {
+                report('unmatched-day', 'warning', `No romcal definition for feast "${reading.feastIdentifier}" (cycle ${cycle})`, { text: reading.sourceName });
             }
             
-            // Sort by day of week using numeric ordering (Sunday=0, Monday=1, etc.)
-            const dayOrder = {
-                'Sunday': 0, 
-                'Monday': 1, 
-                'Tuesday': 2, 
-                'Wednesday': 3, 
-                'Thursday': 4, 
-                'Friday': 5, 
-                'Saturday': 6
+            // Generate identifier for the feast
+            const identifier = reading.feastIdentifier + '_' + cycle.toLowerCase();
+            
+            const liturgicalDay = {
+                identifier: identifier,
+                name: feastDefinition?.name || reading.feastName,
+                romcalKey: feastDefinition ? feastDefinition.id : null,
+                season: normalizeSeason(feastDefinition?.seasonNames?.[0] || determineSeason(feastDefinition?.id, reading.feastName) || reading.season),
+                week: reading.weekNumber,
+                dayOfWeek: reading.dayOfWeek,
+                date: null, // These are movable feasts
+                rank: normalizeRank(feastDefinition?.rankName || feastDefinition?.rank?.name || "Feast"),
+                massType: null,
+                lectionaryNumber: reading.lectionaryNumber,
+                source: reading.source,
+                readings: reading.readings
             };
             
-            const aDayOrder = dayOrder[a.dayOfWeek] !== undefined ? dayOrder[a.dayOfWeek] : 99;
-            const bDayOrder = dayOrder[b.dayOfWeek] !== undefined ? dayOrder[b.dayOfWeek] : 99;
+            days.push(liturgicalDay);
+        } else {
+            // Regular weekday
+            // Find the romcal definition for this weekday by the key derived from
+            // its description (e.g. "lent_2_monday", "advent_december_17")
+            const matchingDefinitions = Object.values(definitions).filter(def => {
+                return def.id && def.id === reading.romcalKey;
+            });
             
-            return aDayOrder - bDayOrder;
+            let romcalDef = null;
+            if (matchingDefinitions.length > 0) {
+                romcalDef = matchingDefinitions[0];
+                const computedProps = computedPropertiesMap.get(romcalDef.id) || {};
+                
+                log(`Found weekday definition:`, {
+                    id: romcalDef.id,
+                    name: computedProps.name || romcalDef.name,
+                    seasonNames: computedProps.seasonNames,
+                    colorNames: computedProps.colorNames
+                });
+                
+                // Enhance the definition with computed properties
+                romcalDef = {
+                    ...romcalDef,
+                    name: computedProps.name || romcalDef.name,
+                    seasonNames: computedProps.seasonNames || [],
+                    colorNames: computedProps.colorNames || [],
+                    rankName: computedProps.rankName
+                };
+            } else {
+                report('unmatched-day', 'warning', `No romcal definition "${reading.romcalKey}" (cycle ${cycle})`, { text: reading.sourceName });
+            }
+            
+            // Generate a unique identifier
+            const identifier = `${reading.identifierBase}_${cycle.toLowerCase()}`;
+            
+            const liturgicalDay = {
+                identifier: identifier,
+                // Days that do not occur in the generated year have no computed name
+                name: romcalDef?.name || reading.feastName,
+                romcalKey: romcalDef ? romcalDef.id : null,
+                season: normalizeSeason(romcalDef?.seasonNames?.[0] || determineSeason(romcalDef?.id, romcalDef?.name) || reading.season),
+                week: reading.weekNumber,
+                dayOfWeek: reading.dayOfWeek,
+                date: reading.date, // Only the dated weekdays of Advent and Christmas Time
+                rank: normalizeRank(romcalDef?.rankName || romcalDef?.rank?.name || "Weekday"),
+                massType: null,
+                lectionaryNumber: reading.lectionaryNumber,
+                source: reading.source,
+                readings: reading.readings
+            };
+            
+            days.push(liturgicalDay);
         }
+    }
+    return days;
+}
 
-        // Sort all arrays
-        Object.values(output.cycles.sundays).forEach(arr => arr.sort(sortLiturgicalDays));
-        Object.values(output.cycles.weekdays).forEach(arr => arr.sort(sortLiturgicalDays));
+function buildSanctoralDays(readings, { definitions, computedPropertiesMap }) {
+    const days = [];
+    log(`Processing ${readings.length} Proper of Saints readings`);
+    for (const reading of readings) {
+        setDiagnosticSource(reading.source);
+        const sanctoralDefinition = findSanctoralDefinition(definitions, reading.date, reading.feastName, computedPropertiesMap);
         
-        // Double check the sorting on weekdays specifically to ensure they're in proper order
-        for (const cycle of ['I', 'II']) {
-            // First sort by week
-            output.cycles.weekdays[cycle].sort((a, b) => {
-                // Sort octave days (week 1) first
-                if (a.identifier?.includes('octave') && !b.identifier?.includes('octave')) return -1;
-                if (!a.identifier?.includes('octave') && b.identifier?.includes('octave')) return 1;
-                
-                // Then sort by week number
-                return (a.week || 0) - (b.week || 0);
-            });
+        if (!sanctoralDefinition) {
+            report('unmatched-day', 'warning', `No romcal definition for the celebration of ${reading.date}`, { text: reading.sourceName });
+        }
+        
+        const massType = normalizeMassType(reading.massType);
+        
+        const liturgicalDay = {
+            identifier: getSanctoralIdentifier(reading.feastName, reading.date, massType),
+            name: sanctoralDefinition?.name || reading.feastName,
+            romcalKey: sanctoralDefinition ? sanctoralDefinition.id : null,
+            season: normalizeSeason(sanctoralDefinition?.seasonNames?.[0]), // Depends on the year for most dates
+            week: null,
+            dayOfWeek: null, // Fixed dates fall on any day of the week
+            date: reading.date,
+            rank: normalizeRank(sanctoralDefinition?.rankName),
+            massType: massType,
+            lectionaryNumber: reading.lectionaryNumber,
+            source: reading.source,
+            readings: reading.readings
+        };
+        
+        days.push(liturgicalDay);
+    }
+    return days;
+}
+
+// Days of the Commons, Ritual Masses, Votive Masses and Masses for the Dead, by section. They
+// have no romcal definition, date or cycle; identifiers are derived from the section heading,
+// numbered across the sections.
+function buildUndatedDays(allReadings) {
+    const days = {};
+    const usedIdentifiers = new Set();
+    for (const [target, section] of Object.entries(UNDATED_SECTIONS)) {
+        days[target] = [];
+        log(`Processing ${allReadings[target].length} readings for ${target}`);
+        for (const reading of allReadings[target]) {
+            const baseIdentifier = `${section.prefix}_${slugify(reading.heading.replace(section.strip, ''))}`;
             
-            // Then sort days within each week by their day of week order
-            const groupedByWeek = {};
-            output.cycles.weekdays[cycle].forEach(day => {
-                const weekNum = day.week || 0;
-                if (!groupedByWeek[weekNum]) groupedByWeek[weekNum] = [];
-                groupedByWeek[weekNum].push(day);
-            });
+            // Headings may repeat (e.g., separate rows for Easter Time); number the repeats
+            let identifier = baseIdentifier;
+            for (let n = 2; usedIdentifiers.has(identifier); n++) {
+                identifier = `${baseIdentifier}_${n}`;
+            }
+            usedIdentifiers.add(identifier);
             
-            // Sort each week's days by day of week
-            Object.values(groupedByWeek).forEach(weekDays => {
-                weekDays.sort((a, b) => {
-                    const dayOrder = {
-                        'Sunday': 0, 
-                        'Monday': 1, 
-                        'Tuesday': 2, 
-                        'Wednesday': 3, 
-                        'Thursday': 4, 
-                        'Friday': 5, 
-                        'Saturday': 6
-                    };
-                    
-                    return (dayOrder[a.dayOfWeek] || 99) - (dayOrder[b.dayOfWeek] || 99);
-                });
+            days[target].push({
+                identifier: identifier,
+                name: reading.heading,
+                romcalKey: null,
+                season: null,
+                week: null,
+                dayOfWeek: null,
+                date: null,
+                rank: null,
+                massType: null,
+                lectionaryNumber: reading.lectionaryNumber,
+                source: reading.source,
+                section: reading.section,
+                category: reading.category,
+                readings: reading.readings
             });
-            
-            // Reassemble the sorted array
-            output.cycles.weekdays[cycle] = [];
-            for (const weekNum of Object.keys(groupedByWeek).sort((a, b) => parseInt(a) - parseInt(b))) {
-                output.cycles.weekdays[cycle].push(...groupedByWeek[weekNum]);
+        }
+    }
+    return days;
+}
+
+// A Lectionary number identifies one Mass: it may be used in every cycle of that Mass
+// (13ABC in Years A, B and C), but not by two Masses, or twice in one cycle
+function checkLectionaryNumbers(output) {
+    const firstUses = new Map();
+    for (const [collection, days] of Object.entries(getDayCollections(output))) {
+        for (const day of days) {
+            if (!day.lectionaryNumber) continue;
+            // The identifiers of the cycles of a Mass differ by their suffix ("holy_family_b")
+            const cycle = collection.split('.')[1]?.toLowerCase();
+            const identifier = cycle ? day.identifier.replace(new RegExp(`_${cycle}$`), '') : day.identifier;
+            const use = { collection, key: `${identifier}|${day.massType}`, day };
+            const firstUse = firstUses.get(day.lectionaryNumber);
+            // Reported at the row of the second use, with the column of its day
+            const details = { ...day.source, identifier: day.identifier };
+            if (!firstUse) {
+                firstUses.set(day.lectionaryNumber, use);
+            } else if (firstUse.key !== use.key) {
+                report('lectionary-number', 'error', `Lectionary number ${day.lectionaryNumber} of ${describeMass(day)} is already used by ${describeMass(firstUse.day)} in ${firstUse.collection}${describeSource(firstUse.day)}`, details);
+            } else if (firstUse.collection === collection) {
+                report('lectionary-number', 'error', `Lectionary number ${day.lectionaryNumber} is used twice for ${describeMass(day)} in ${collection}${describeSource(firstUse.day)}`, details);
             }
         }
+    }
+}
+
+// Where the row of a day is, for a message that refers to it: " (Sunday_Readings.csv:12)"
+function describeSource(day) {
+    return day.source?.file ? ` (${day.source.file}:${day.source.row})` : '';
+}
 
-        // Save the calendar data
-        fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-        console.log(`Created/Updated ${outputPath}`);
-    } catch (error) {
-        console.error('Error:', error);
+// The source rows of the days are for diagnostics only and are not written
+function removeDaySources(output) {
+    for (const days of Object.values(getDayCollections(output))) {
+        for (const day of days) {
+            delete day.source;
+        }
     }
 }
 
-main();
\ No newline at end of file
+function describeMass(day) {
+    return day.massType ? `${day.identifier} (${day.massType})` : day.identifier;
+}
+
+// Companion file of passage texts written next to the output ("lectionary.json" -> "lectionary.texts.json")
+function getTextsPath(outputPath) {
+    return outputPath.replace(/(\.json)?$/i, '.texts.json');
+}
+
+// Diagnostics report written next to the output ("lectionary.json" -> "lectionary.diagnostics.json")
+function getDiagnosticsPath(outputPath) {
+    return outputPath.replace(/(\.json)?$/i, '.diagnostics.json');
+}
+
+export const DEFAULT_INPUT_DIR = path.join(__dirname, '..', 'input');
+export const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'output', 'lectionary.json');
+
+/**
+ * Builds the lectionary from the CSV files and saved web pages of an input directory and writes it as JSON
+ * @param {object} [options]
+ * @param {string} [options.inputDir] - Directory holding the CSV and HTML files (defaults to input/)
+ * @param {string} [options.outputPath] - File to write (defaults to output/lectionary.json)
+ * @param {number} [options.year] - Calendar year used for romcal's computed properties (defaults to the current year)
+ * @param {string} [options.calendar] - romcal particular calendar, e.g. "general-roman" (defaults to the United States)
+ * @param {string} [options.locale] - Locale of the calendar (defaults to "en")
+ * @param {boolean} [options.epiphanyOnSunday] - Overrides the calendar's transfer of Epiphany
+ * @param {boolean} [options.corpusChristiOnSunday] - Overrides the calendar's transfer of Corpus Christi
+ * @param {boolean} [options.ascensionOnSunday] - Overrides the calendar's transfer of the Ascension
+ * @param {string} [options.referenceStyle] - Style of referenceStandard: "usccb", "sbl", "full" (default) or "announcement"
+ * @param {string} [options.language] - Language of the book names in referenceStandard, "en" (default) or "es"
+ * @param {boolean} [options.allowInvalid] - Write the output even if it violates the schema
+ * @param {boolean} [options.strict] - Fail without writing the output if any row was skipped, any
+ *   reference could not be parsed or any day has no romcal match
+ * @param {string} [options.diagnosticsPath] - Diagnostics report to write (defaults to the output
+ *   path with ".diagnostics.json")
+ * @param {string} [options.bibleText] - Bible text (OSIS XML, USFM or JSON verse map, see
+ *   loadTextProvider) whose text of each reading option is added to the output
+ * @param {string} [options.bibleFormat] - Format of bibleText (defaults to the format of its extension)
+ * @param {object} [options.textProvider] - A text provider to use instead of bibleText
+ * @param {boolean} [options.textsFile] - Write the texts to a companion file (the output path with
+ *   ".texts.json") instead of adding them to the output
+ * @param {string} [options.cacheDir] - Directory of the cached romcal data and parsed files
+ *   (defaults to output/.cache)
+ * @param {boolean} [options.noCache] - Keep the cache in memory only, for this build
+ * @param {object} [options.cache] - The cache of an earlier build (see createBuildCache), whose
+ *   days are reused for the cycles and sections whose readings did not change
+ * @returns {Promise<object>} - The lectionary that was written; its passage index is written
+ *   next to it (".passages.json")
+ */
+export async function buildLectionary(options = {}) {
+    const inputDir = options.inputDir || DEFAULT_INPUT_DIR;
+    const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+    const year = options.year ?? new Date().getFullYear();
+    const referenceStyle = normalizeReferenceStyle({ style: options.referenceStyle, language: options.language });
+    const textProvider = options.textProvider || (options.bibleText ? loadTextProvider(options.bibleText, options.bibleFormat) : null);
+    const cache = options.cache || createBuildCache(options.noCache ? null : options.cacheDir);
+    cache.startBuild();
+    resetDiagnostics();
+    
+    // Initialize romcal with the chosen particular calendar
+    const romcal = await createRomcal(options);
+    
+    // Initialize the output structure according to the schema
+    const output = {
+        lectionaryTitle: "USCCB Lectionary (based on 1998)",
+        schemaVersion: "1.3", // Updated to match new schema version
+        calendar: { ...getCalendarInfo(romcal, options), year },
+        referenceStyle,
+        cycles: {
+            sundays: { A: [], B: [], C: [] },
+            weekdays: { I: [], II: [] }
+        },
+        properOfSaints: [],
+        commons: [],
+        ritualMasses: [],
+        votiveMasses: [],
+        massesForTheDead: []
+    };
+
+    // All liturgical day definitions, and a mapping of their IDs to the computed properties of
+    // the year, cached on disk for the calendar, options, year and romcal version
+    const romcalData = await cache.getRomcalData(romcal, output.calendar);
+    const { definitions, computedPropertiesMap } = romcalData;
+    
+    // Look for Holy Family feast and other important feasts
+    listRomcalFeasts(definitions, 'holy family', computedPropertiesMap);
+    listRomcalFeasts(definitions, 'christmas', computedPropertiesMap);
+    listRomcalFeasts(definitions, 'epiphany', computedPropertiesMap);
+    listRomcalFeasts(definitions, 'baptism', computedPropertiesMap);
+    
+    // Process CSV files and saved web pages with readings
+    log('Looking for CSV and HTML files in:', inputDir);
+    const inputFiles = fs.readdirSync(inputDir)
+        .filter(file => INPUT_EXTRACTORS[path.extname(file).toLowerCase()]);
+    log('Found input files:', inputFiles);
+    
+    if (inputFiles.length === 0) {
+        throw new Error(`No CSV or HTML files found in ${inputDir}`);
+    }
+
+    // Store all readings by cycle
+    const allReadings = {
+        A: [], B: [], C: [], I: [], II: [], saints: [],
+        commons: [], ritualMasses: [], votiveMasses: [], massesForTheDead: []
+    };
+    
+    for (const file of inputFiles) {
+        const content = fs.readFileSync(path.join(inputDir, file), 'utf-8');
+        // Parsed again only if the file changed since it was cached
+        const readings = cache.getReadings(file, content, () => {
+            log(`Processing readings from ${file}...`);
+            try {
+                return INPUT_EXTRACTORS[path.extname(file).toLowerCase()](content, file);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+        });
+        
+        // Merge readings by cycle
+        for (const [cycle, cycleReadings] of Object.entries(readings)) {
+            if (cycleReadings && cycleReadings.length > 0) {
+                allReadings[cycle].push(...cycleReadings);
+            }
+        }
+    }
+
+    log('Total readings collected:', {
+        A: allReadings.A.length,
+        B: allReadings.B.length,
+        C: allReadings.C.length,
+        I: allReadings.I.length,
+        II: allReadings.II.length,
+        saints: allReadings.saints.length,
+        commons: allReadings.commons.length,
+        ritualMasses: allReadings.ritualMasses.length,
+        votiveMasses: allReadings.votiveMasses.length,
+        massesForTheDead: allReadings.massesForTheDead.length
+    });
+
+    // The days of each cycle and section. A build with the cache of the previous one (watch
+    // mode) assembles again only those whose readings changed.
+    for (const cycle of ['A', 'B', 'C']) {
+        output.cycles.sundays[cycle] = cache.getDays(`sundays.${cycle}`, allReadings[cycle], () => buildSundayDays(cycle, allReadings[cycle], romcalData));
+    }
+    for (const cycle of ['I', 'II']) {
+        output.cycles.weekdays[cycle] = cache.getDays(`weekdays.${cycle}`, allReadings[cycle], () => buildWeekdayDays(cycle, allReadings[cycle], romcalData));
+    }
+    output.properOfSaints = cache.getDays('properOfSaints', allReadings.saints, () => buildSanctoralDays(allReadings.saints, romcalData));
+
+    const undatedReadings = Object.fromEntries(Object.keys(UNDATED_SECTIONS).map(target => [target, allReadings[target]]));
+    Object.assign(output, cache.getDays('undated', undatedReadings, () => buildUndatedDays(undatedReadings)));
+    
+    // Sort Sundays and feasts by season, week number and day of week. Days without a
+    // week number keep their order from the CSV files (e.g. the Masses of Christmas),
+    // except in Ordinary Time, where the Solemnities of the Lord (Trinity Sunday,
+    // Corpus Christi, Sacred Heart) follow the numbered Sundays as in the Lectionary.
+    function sortLiturgicalDays(a, b) {
+        const aSeason = getSeasonKey(a.season);
+        const bSeason = getSeasonKey(b.season);
+        if (aSeason !== bSeason) {
+            return (SEASON_ORDER[aSeason] || 99) - (SEASON_ORDER[bSeason] || 99);
+        }
+        
+        // Sort by week number
+        const aWeek = a.week ?? (aSeason === 'ORDINARY' ? 99 : 0);
+        const bWeek = b.week ?? (bSeason === 'ORDINARY' ? 99 : 0);
+        if (aWeek !== bWeek) {
+            return aWeek - bWeek;
+        }
+        
+        // Sort by day of week (Sunday=0, Monday=1, etc.), except that the Triduum runs
+        // from Thursday evening to Easter Sunday
+        const aDayOrder = a.dayOfWeek ? FULL_DAY_NAMES.indexOf(a.dayOfWeek) || (aSeason === 'TRIDUUM' ? 7 : 0) : 99;
+        const bDayOrder = b.dayOfWeek ? FULL_DAY_NAMES.indexOf(b.dayOfWeek) || (bSeason === 'TRIDUUM' ? 7 : 0) : 99;
+        
+        return aDayOrder - bDayOrder;
+    }
+
+    // Sort all arrays
+    Object.values(output.cycles.sundays).forEach(arr => arr.sort(sortLiturgicalDays));
+    
+    // Dated weekdays sort in liturgical order, so January follows December
+    function getDateOrder(date) {
+        if (!date) return Infinity;
+        const [month, day] = date.split('-').map(Number);
+        return (month < 7 ? month + 12 : month) * 100 + day;
+    }
+    
+    // Sort weekdays by season, week, date and day of week. The dated Advent weekdays
+    // (December 17-24) follow the numbered weeks of Advent, while the dated days of
+    // Christmas Time come before the weekdays after Epiphany.
+    function sortWeekdays(a, b) {
+        const aSeason = getSeasonKey(a.season);
+        const bSeason = getSeasonKey(b.season);
+        if (aSeason !== bSeason) {
+            return (SEASON_ORDER[aSeason] || 99) - (SEASON_ORDER[bSeason] || 99);
+        }
+        
+        const aWeek = a.week ?? (a.date && aSeason === 'ADVENT' ? 4 : 0);
+        const bWeek = b.week ?? (b.date && bSeason === 'ADVENT' ? 4 : 0);
+        if (aWeek !== bWeek) {
+            return aWeek - bWeek;
+        }
+        
+        const aDate = getDateOrder(a.date);
+        const bDate = getDateOrder(b.date);
+        if (aDate !== bDate) {
+            return aDate < bDate ? -1 : 1;
+        }
+        
+        // Sort by day of week (Sunday=0, Monday=1, etc.); dated weekdays have none
+        const aDayOrder = a.dayOfWeek ? FULL_DAY_NAMES.indexOf(a.dayOfWeek) : 99;
+        const bDayOrder = b.dayOfWeek ? FULL_DAY_NAMES.indexOf(b.dayOfWeek) : 99;
+        
+        return aDayOrder - bDayOrder;
+    }
+    
+    Object.values(output.cycles.weekdays).forEach(arr => arr.sort(sortWeekdays));
+    
+    // Sort the Proper of Saints by date, keeping the CSV order of Masses on the same date
+    output.properOfSaints.sort((a, b) => a.date.localeCompare(b.date));
+
+    setDiagnosticSource(null);
+    checkLectionaryNumbers(output);
+    removeDaySources(output);
+
+    applyReferenceStyle(output, referenceStyle);
+
+    // The text of the readings, in the output or in a companion file
+    const passages = textProvider ? resolveTexts(output, textProvider) : null;
+    if (passages) {
+        output.bibleText = { source: textProvider.name, format: textProvider.format, embedded: !options.textsFile };
+        if (!options.textsFile) embedTexts(output, passages);
+    }
+
+    // Check the output against the schema before writing it, unless told to write it anyway
+    setDiagnosticSource(null);
+    const violations = validateLectionary(output);
+    for (const violation of violations) {
+        report('schema', 'error', formatViolation(violation), { identifier: violation.identifier });
+    }
+    
+    // Write the diagnostics report whether or not the lectionary is written
+    const diagnosticsPath = options.diagnosticsPath || getDiagnosticsPath(outputPath);
+    const summary = writeDiagnostics(diagnosticsPath, getDiagnostics());
+    const summaryLine = `Diagnostics: ${formatSummary(summary)}, written to ${diagnosticsPath}`;
+    if (summary.errors + summary.warnings > 0) {
+        console.warn(summaryLine);
+    } else {
+        log(summaryLine);
+    }
+    
+    // A strict build refuses to write a lectionary that lost rows, references or days
+    if (options.strict && summary.strictFailures > 0) {
+        throw new Error(`Strict mode: ${summary.strictFailures} skipped row(s), unparsed reference(s), unmatched day(s) or Lectionary number problem(s), not writing ${outputPath}`);
+    }
+    
+    if (violations.length > 0) {
+        if (!options.allowInvalid) {
+            throw new Error(`${violations.length} schema violation(s), not writing ${outputPath} (use --allow-invalid to write it anyway)`);
+        }
+        console.warn(`Writing ${outputPath} despite ${violations.length} schema violation(s)`);
+    }
+
+    // Save the calendar data
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+    log(`Created/Updated ${outputPath}`);
+
+    // The reverse index of the verses read, next to the lectionary
+    writePassageIndex(getPassageIndexPath(outputPath), buildPassageIndex(output));
+
+    if (passages && options.textsFile) {
+        const textsPath = getTextsPath(outputPath);
+        fs.writeFileSync(textsPath, JSON.stringify({ bibleText: output.bibleText, passages }, null, 2));
+        log(`Created/Updated ${textsPath}`);
+    }
+    return output;
+}
+
+// Time to wait after a change in the input directory before rebuilding, in milliseconds, so
+// that an editor saving several files (or a file in several writes) causes a single build
+const WATCH_DELAY = 300;
+
+/**
+ * Builds the lectionary, then builds it again whenever a CSV or HTML file of the input
+ * directory changes. Unchanged files are not parsed again, and only the cycles and sections
+ * whose readings changed are assembled again; the output is the same as a full build's.
+ * @param {object} [options] - The options of buildLectionary()
+ * @returns {Promise<fs.FSWatcher>} - The watcher of the input directory; closing it stops watching
+ */
+export async function watchLectionary(options = {}) {
+    const inputDir = options.inputDir || DEFAULT_INPUT_DIR;
+    const buildOptions = {
+        ...options,
+        // The Bible text is read once, and the cache is kept from one build to the next
+        textProvider: options.textProvider || (options.bibleText ? loadTextProvider(options.bibleText, options.bibleFormat) : null),
+        cache: options.cache || createBuildCache(options.noCache ? null : options.cacheDir)
+    };
+
+    let building = null;
+    let changed = false;
+    async function build() {
+        const started = Date.now();
+        try {
+            await buildLectionary(buildOptions);
+            const stats = buildOptions.cache.getStats();
+            const parsed = stats.parsedFiles.length > 0 ? stats.parsedFiles.join(', ') : 'none';
+            const built = stats.builtCollections.length > 0 ? stats.builtCollections.join(', ') : 'none';
+            console.log(`Built in ${Date.now() - started} ms (parsed: ${parsed}; assembled: ${built})`);
+        } catch (error) {
+            // Keep watching: the next change may fix the input
+            console.error('Error:', error.message);
+        }
+    }
+
+    async function rebuild() {
+        changed = true;
+        if (building) return; // The running build starts another when it is done
+        while (changed) {
+            changed = false;
+            building = build();
+            await building;
+        }
+        building = null;
+    }
+
+    await build();
+
+    let timer = null;
+    const watcher = fs.watch(inputDir, (event, file) => {
+        if (file && !INPUT_EXTRACTORS[path.extname(file).toLowerCase()]) return;
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, WATCH_DELAY);
+    });
+    watcher.on('close', () => clearTimeout(timer));
+    console.log(`Watching ${inputDir} for changes (Ctrl+C to stop)`);
+    return watcher;
+}
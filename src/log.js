@@ -0,0 +1,13 @@
+// Progress and matching details go through log() so that --quiet can silence them;
+// warnings and errors are written with console.warn/console.error and always shown
+let quiet = false;
+
+export function setQuiet(value) {
+    quiet = Boolean(value);
+}
+
+export function log(...args) {
+    if (!quiet) {
+        console.log(...args);
+    }
+}
@@ -0,0 +1,342 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { log } from './log.js';
+import {
+    createRomcal,
+    getCalendarInfo,
+    getRomcalOptions,
+    parseCivilDate,
+    formatCivilDate,
+    addDays,
+    getLiturgicalYear,
+    getSundayCycle,
+    getWeekdayCycle
+} from './calendar.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LECTIONARY_PATH = path.join(__dirname, '..', 'output', 'lectionary.json');
+
+// Names of the Mass types of the output, as the source tables write them after the colon of a
+// day description ("Christmas: Vigil Mass")
+export const MASS_TYPE_LABELS = {
+    'vigil': 'Vigil Mass',
+    'night': 'Mass during the Night',
+    'dawn': 'Mass at Dawn',
+    'day': 'Mass during the Day',
+    'evening': "Evening Mass of the Lord's Supper",
+    'afternoon': 'Celebration of the Passion of the Lord',
+    'procession': 'At the Procession with Palms'
+};
+
+// Prefixes romcal uses for Sunday and weekday ids of the Proper of Time (e.g. "ordinary_time_3_thursday")
+const PROPER_OF_TIME_PREFIXES = {
+    ADVENT: 'advent',
+    LENT: 'lent',
+    EASTER_TIME: 'easter_time',
+    ORDINARY_TIME: 'ordinary_time'
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Memorials take their readings from the weekday unless the lectionary has proper readings for them
+const RANKS_USING_WEEKDAY_READINGS = ['MEMORIAL', 'OPTIONAL_MEMORIAL'];
+
+export function loadLectionary(filePath = DEFAULT_LECTIONARY_PATH) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Every list of days in a lectionary, keyed by a name such as "sundays.A", "weekdays.II" or "properOfSaints"
+ * @param {object} lectionary - The lectionary
+ * @returns {Object<string, Array<object>>}
+ */
+export function getDayCollections(lectionary) {
+    const collections = {};
+    for (const [cycle, days] of Object.entries(lectionary.cycles?.sundays || {})) {
+        collections[`sundays.${cycle}`] = days;
+    }
+    for (const [cycle, days] of Object.entries(lectionary.cycles?.weekdays || {})) {
+        collections[`weekdays.${cycle}`] = days;
+    }
+    for (const name of ['properOfSaints', 'commons', 'ritualMasses', 'votiveMasses', 'massesForTheDead']) {
+        collections[name] = lectionary[name] || [];
+    }
+    return collections;
+}
+
+/**
+ * The reading options of a day by slot; each numbered reading of a sequence is a slot of its
+ * own, named after its label (e.g. "sequence: Seventh Reading")
+ * @param {object} day - A liturgical day
+ * @returns {Object<string, Array<object>>}
+ */
+export function getReadingSlots(day) {
+    const slots = {};
+    for (const [slot, options] of Object.entries(day.readings || {})) {
+        if (slot === 'sequence') continue;
+        slots[slot] = options;
+    }
+    for (const item of day.readings?.sequence || []) {
+        slots[`sequence: ${item.label}`] = item.options;
+    }
+    return slots;
+}
+
+/**
+ * Normalizes a Lectionary number as written in a table or a query: "#38", "No. 13abc" and
+ * "13 ABC" become "38" and "13ABC"
+ * @param {string|number} text - The number, with an optional suffix of letters
+ * @returns {string|null} - The number, or null if the text is not a Lectionary number
+ */
+export function normalizeLectionaryNumber(text) {
+    const match = String(text ?? '').trim().match(/^(?:#|No\.?)?\s*(\d+)\s*([A-Za-z]*)$/i);
+    return match ? `${parseInt(match[1])}${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Finds the Masses with a Lectionary number, in every cycle and section. A number matches
+ * itself; failing that, a number without suffix finds every suffixed number ("62" finds
+ * "62ABC", the Vigil of Pentecost), and a suffix finds the numbers whose suffix has all its
+ * letters ("13A" finds "13ABC" in cycle A, "38B" finds "38ABC" in cycle B)
+ * @param {object} lectionary - The lectionary
+ * @param {string|number} number - e.g. "38", "#1", "13ABC", "13A"
+ * @returns {{number: string, results: Array<object>}} - The normalized number, and the
+ *   matching days with the collection they were found in
+ */
+export function findLectionaryNumber(lectionary, number) {
+    const normalized = normalizeLectionaryNumber(number);
+    if (!normalized) {
+        throw new Error(`Invalid Lectionary number "${number}" (expected digits with an optional suffix, e.g. 38 or 13ABC)`);
+    }
+
+    const days = Object.entries(getDayCollections(lectionary)).flatMap(([collection, list]) =>
+        list.filter(day => day.lectionaryNumber).map(day => ({ collection, ...day })));
+
+    let results = days.filter(day => day.lectionaryNumber === normalized);
+    if (results.length === 0) {
+        const [, digits, suffix] = normalized.match(/^(\d+)([A-Z]*)$/);
+        results = days.filter(day => {
+            const [, dayDigits, daySuffix] = day.lectionaryNumber.match(/^(\d+)([A-Z]*)$/);
+            if (dayDigits !== digits || !daySuffix) return false;
+            // A cycle letter of the suffix only finds the days of that cycle
+            const cycle = day.collection.match(/^sundays\.([ABC])$/)?.[1];
+            return [...suffix].every(letter => daySuffix.includes(letter) && (!'ABC'.includes(letter) || !cycle || letter === cycle));
+        });
+    }
+    return { number: normalized, results };
+}
+
+// Find all entries (one per Mass) for a romcal key, looking at the cycle in force first
+function findEntries(lectionary, romcalKey, sundayCycle, weekdayCycle) {
+    if (!romcalKey) return [];
+
+    const sections = [
+        lectionary.cycles?.sundays?.[sundayCycle] || [],
+        lectionary.cycles?.weekdays?.[weekdayCycle] || [],
+        lectionary.properOfSaints || []
+    ];
+
+    for (const section of sections) {
+        const matches = section.filter(entry => entry.romcalKey === romcalKey);
+        if (matches.length > 0) {
+            return matches;
+        }
+    }
+
+    return [];
+}
+
+// Weekdays of Christmas Time are named by date in romcal, not by week: the days of the Octave
+// ("christmas_octave_day_5" on December 29), the January days before Epiphany
+// ("christmas_time_january_3") and the days after it ("tuesday_after_epiphany")
+function getChristmasTimeKey(date, dayName, epiphanyDate) {
+    const [, month, dayOfMonth] = date.split('-').map(Number);
+    if (month === 12) {
+        return dayOfMonth > 25 ? `christmas_octave_day_${dayOfMonth - 24}` : null;
+    }
+    if (epiphanyDate && date > epiphanyDate) {
+        return `${dayName}_after_epiphany`;
+    }
+    return `christmas_time_january_${dayOfMonth}`;
+}
+
+// Build the id of the Sunday or weekday of the Proper of Time that falls on a romcal day
+function getProperOfTimeKey(day, definitions, date, epiphanyDate) {
+    if (day.seasons?.[0] === 'CHRISTMAS_TIME') {
+        const key = getChristmasTimeKey(date, DAY_NAMES[day.calendar?.dayOfWeek], epiphanyDate);
+        return key && definitions[key] ? key : null;
+    }
+
+    const prefix = PROPER_OF_TIME_PREFIXES[day.seasons?.[0]];
+    const week = day.calendar?.weekOfSeason;
+    const dayName = DAY_NAMES[day.calendar?.dayOfWeek];
+    if (!prefix || !week || !dayName) return null;
+
+    const key = `${prefix}_${week}_${dayName}`;
+    return definitions[key] ? key : null;
+}
+
+// Date of Epiphany in a romcal calendar, which is a Sunday in some particular calendars
+function getEpiphanyDate(calendar) {
+    return Object.keys(calendar).find(date => calendar[date].some(day => day.id === 'epiphany_of_the_lord')) || null;
+}
+
+/**
+ * Creates a date-based lookup over a generated lectionary. Romcal calendars are
+ * generated once per liturgical year and reused for subsequent lookups.
+ * @param {object} lectionary - The parsed contents of lectionary.json
+ * @param {object} [options] - createRomcal() options (calendar, locale, transfer options)
+ *   overriding the calendar and options recorded in the lectionary
+ * @returns {{lookupDate: Function, lookupRange: Function, lookupLiturgicalYear: Function, describeCalendar: Function}}
+ */
+export function createLookup(lectionary, options = {}) {
+    const calendars = new Map();
+    let romcalPromise = null;
+    let definitionsPromise = null;
+
+    // Options given explicitly win over those the lectionary was built with; another
+    // calendar brings its own transfer defaults
+    const romcalOptions = options.calendar ? {} : getRomcalOptions(lectionary.calendar);
+    for (const [option, value] of Object.entries(options)) {
+        if (value !== undefined) romcalOptions[option] = value;
+    }
+
+    function getRomcal() {
+        if (!romcalPromise) {
+            romcalPromise = createRomcal(romcalOptions);
+        }
+        return romcalPromise;
+    }
+
+    function getDefinitions() {
+        if (!definitionsPromise) {
+            definitionsPromise = getRomcal().then(romcal => romcal.getAllDefinitions());
+        }
+        return definitionsPromise;
+    }
+
+    function getCalendar(liturgicalYear) {
+        if (!calendars.has(liturgicalYear)) {
+            calendars.set(liturgicalYear, getRomcal().then(romcal => romcal.generateCalendar(liturgicalYear)));
+        }
+        return calendars.get(liturgicalYear);
+    }
+
+    function resolveDay(date, days, liturgicalYear, definitions, epiphanyDate) {
+        const sundayCycle = getSundayCycle(liturgicalYear);
+        const weekdayCycle = getWeekdayCycle(liturgicalYear);
+
+        // romcal lists the celebrations of a date in order of precedence, so the
+        // first one is the celebration that is kept (Sunday, feast or weekday)
+        const properOfTimeKey = days.length > 0 ? getProperOfTimeKey(days[0], definitions, date, epiphanyDate) : null;
+
+        const celebrations = days.map((day, index) => {
+            let readingsFrom = day.id;
+            let entries = findEntries(lectionary, day.id, sundayCycle, weekdayCycle);
+
+            // Fall back to the weekday readings for memorials without proper readings
+            if (entries.length === 0 && RANKS_USING_WEEKDAY_READINGS.includes(day.rank) && properOfTimeKey) {
+                readingsFrom = properOfTimeKey;
+                entries = findEntries(lectionary, properOfTimeKey, sundayCycle, weekdayCycle);
+            }
+
+            return {
+                romcalKey: day.id,
+                name: day.name,
+                rank: day.rankName,
+                season: day.seasonNames?.[0] || null,
+                colors: day.colorNames || [],
+                isOptional: index > 0 && day.isOptional,
+                // The Sunday or weekday this celebration takes the place of, if any
+                displaces: index === 0 && properOfTimeKey && properOfTimeKey !== day.id ? properOfTimeKey : null,
+                readingsFrom: entries.length > 0 ? readingsFrom : null,
+                entries
+            };
+        });
+
+        return {
+            date,
+            liturgicalYear,
+            sundayCycle,
+            weekdayCycle,
+            celebrations
+        };
+    }
+
+    async function lookupDate(date) {
+        const civilDate = typeof date === 'string' ? parseCivilDate(date) : date;
+        const isoDate = formatCivilDate(civilDate);
+        const liturgicalYear = getLiturgicalYear(civilDate);
+
+        const [calendar, definitions] = await Promise.all([getCalendar(liturgicalYear), getDefinitions()]);
+        return resolveDay(isoDate, calendar[isoDate] || [], liturgicalYear, definitions, getEpiphanyDate(calendar));
+    }
+
+    async function lookupRange(startDate, endDate) {
+        const start = parseCivilDate(startDate);
+        const end = parseCivilDate(endDate);
+        if (end < start) {
+            throw new Error(`End date ${endDate} is before start date ${startDate}`);
+        }
+
+        const results = [];
+        for (let current = start; current <= end; current = addDays(current, 1)) {
+            results.push(await lookupDate(current));
+        }
+        return results;
+    }
+
+    async function lookupLiturgicalYear(liturgicalYear) {
+        const [calendar, definitions] = await Promise.all([getCalendar(liturgicalYear), getDefinitions()]);
+        const epiphanyDate = getEpiphanyDate(calendar);
+        return Object.keys(calendar)
+            .sort()
+            .map(date => resolveDay(date, calendar[date], liturgicalYear, definitions, epiphanyDate));
+    }
+
+    // The calendar and options the lookup resolves dates with
+    async function describeCalendar() {
+        return getCalendarInfo(await getRomcal(), romcalOptions);
+    }
+
+    return { lookupDate, lookupRange, lookupLiturgicalYear, describeCalendar };
+}
+
+/**
+ * Writes a dated ordo covering whole liturgical years
+ * @param {object} lectionary - The parsed contents of lectionary.json
+ * @param {number} startYear - First liturgical year (named after the civil year it ends in)
+ * @param {number} endYear - Last liturgical year, inclusive
+ * @param {string} [outputPath] - Defaults to output/ordo_<start>-<end>.json
+ * @param {object} [options] - Calendar options passed to createLookup
+ * @returns {Promise<string>} - The path that was written
+ */
+export async function writeOrdo(lectionary, startYear, endYear, outputPath = null, options = {}) {
+    if (endYear < startYear) {
+        throw new Error(`End year ${endYear} is before start year ${startYear}`);
+    }
+
+    const lookup = createLookup(lectionary, options);
+    const days = [];
+    for (let year = startYear; year <= endYear; year++) {
+        log(`Resolving liturgical year ${year}...`);
+        days.push(...await lookup.lookupLiturgicalYear(year));
+    }
+
+    const ordo = {
+        lectionaryTitle: lectionary.lectionaryTitle,
+        schemaVersion: lectionary.schemaVersion,
+        calendar: await lookup.describeCalendar(),
+        startYear,
+        endYear,
+        days
+    };
+
+    const ordoPath = outputPath || path.join(__dirname, '..', 'output', `ordo_${startYear}-${endYear}.json`);
+    fs.mkdirSync(path.dirname(ordoPath), { recursive: true });
+    fs.writeFileSync(ordoPath, JSON.stringify(ordo, null, 2));
+    log(`Created/Updated ${ordoPath}`);
+    return ordoPath;
+}
@@ -0,0 +1,144 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { log } from './log.js';
+import { getDayCollections, getReadingSlots } from './lookup.js';
+import { parseReferenceRanges, expandRangeVerses, compareVerses } from './references.js';
+
+// The cycle of a list of days ("sundays.A" → "A"); the undated sections have none
+function getCycle(collection) {
+    const match = collection.match(/^(?:sundays|weekdays)\.(.+)$/);
+    return match ? match[1] : null;
+}
+
+// Join verses that follow each other in a list into OSIS ranges, e.g. "Luke.15.1-Luke.15.3,Luke.15.11"
+function formatVerseRuns(verses, isConsecutive) {
+    const runs = [];
+    for (const verse of verses) {
+        const run = runs[runs.length - 1];
+        if (run && isConsecutive(run[run.length - 1], verse)) {
+            run.push(verse);
+        } else {
+            runs.push([verse]);
+        }
+    }
+    return runs.map(run => run.length === 1 ? run[0] : `${run[0]}-${run[run.length - 1]}`).join(',');
+}
+
+/**
+ * Builds the verse-level reverse index of a lectionary: every reading option with its
+ * day, cycle and slot, and for every verse the options it is read in
+ * @param {object} lectionary - The lectionary
+ * @returns {{entries: Array<object>, verses: Object<string, Array<number>>}} - Entries are
+ *   {collection, cycle, identifier, name, romcalKey, slot, option, reference, osis}; verses
+ *   maps OSIS verse ids ("Luke.15.11") to indexes into entries, in canonical order
+ */
+export function buildPassageIndex(lectionary) {
+    const entries = [];
+    const verses = {};
+
+    for (const [collection, days] of Object.entries(getDayCollections(lectionary))) {
+        for (const day of days) {
+            for (const [slot, options] of Object.entries(getReadingSlots(day))) {
+                (options || []).forEach((option, optionIndex) => {
+                    if (!option.ranges) return;
+
+                    const index = entries.length;
+                    entries.push({
+                        collection,
+                        cycle: getCycle(collection),
+                        identifier: day.identifier,
+                        name: day.name,
+                        romcalKey: day.romcalKey,
+                        slot,
+                        option: optionIndex,
+                        reference: option.referenceStandard,
+                        osis: option.referenceOsis
+                    });
+
+                    for (const verse of new Set(option.ranges.flatMap(expandRangeVerses))) {
+                        (verses[verse] ||= []).push(index);
+                    }
+                });
+            }
+        }
+    }
+
+    const sortedVerses = {};
+    for (const verse of Object.keys(verses).sort(compareVerses)) {
+        sortedVerses[verse] = verses[verse];
+    }
+
+    return {
+        lectionaryTitle: lectionary.lectionaryTitle,
+        versification: 'nab',
+        entries,
+        verses: sortedVerses
+    };
+}
+
+/**
+ * Finds every reading option whose passage overlaps a reference
+ * @param {object} index - An index from buildPassageIndex()
+ * @param {string} reference - A citation such as "Luke 15:11-32", "Ps 23" or "Jn 3:16"
+ * @returns {{reference: string, osis: string, results: Array<object>}} - One result per
+ *   option, in lectionary order: the index entry with the overlap as {osis, verses}
+ */
+export function findPassage(index, reference) {
+    const ranges = parseReferenceRanges(reference || '');
+    // A reference past the end of a book or chapter ("Gen 99") has no verses to search
+    const searched = ranges ? [...new Set(ranges.flatMap(expandRangeVerses))] : [];
+    if (searched.length === 0) {
+        throw new Error(`Could not parse reference "${reference}"`);
+    }
+
+    const position = new Map(searched.map((verse, i) => [verse, i]));
+    const isConsecutive = (a, b) => position.get(b) === position.get(a) + 1;
+
+    // The searched verses of every entry, in the order of the reference
+    const overlaps = new Map();
+    for (const verse of searched) {
+        for (const entryIndex of index.verses[verse] || []) {
+            if (!overlaps.has(entryIndex)) overlaps.set(entryIndex, []);
+            overlaps.get(entryIndex).push(verse);
+        }
+    }
+
+    const results = [...overlaps.keys()]
+        .sort((a, b) => a - b)
+        .map(entryIndex => ({
+            ...index.entries[entryIndex],
+            overlap: {
+                osis: formatVerseRuns(overlaps.get(entryIndex), isConsecutive),
+                verses: overlaps.get(entryIndex).length
+            }
+        }));
+
+    return { reference, osis: formatVerseRuns(searched, isConsecutive), results };
+}
+
+// Path of the index written next to a lectionary, e.g. output/lectionary.passages.json
+export function getPassageIndexPath(lectionaryPath) {
+    return lectionaryPath.replace(/(\.json)?$/, '.passages.json');
+}
+
+export function writePassageIndex(filePath, index) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(index, null, 2));
+    log(`Created/Updated ${filePath}`);
+}
+
+/**
+ * Formats search results for reading, one line per option, e.g.
+ *   sundays.C lent_4_sunday_c (Fourth Sunday of Lent) gospel: Luke 15:1-3, 11-32 [Luke.15.11-Luke.15.32, 22 verses]
+ * @param {object} found - Results from findPassage()
+ * @returns {string}
+ */
+export function formatPassageResults(found) {
+    const lines = found.results.map(result => {
+        const option = result.option > 0 ? ` (option ${result.option + 1})` : '';
+        return `${result.collection} ${result.identifier} (${result.name}) ${result.slot}${option}: ` +
+            `${result.reference} [${result.overlap.osis}, ${result.overlap.verses} verse(s)]`;
+    });
+    lines.push(`${found.results.length} reading(s) overlapping ${found.reference} (${found.osis})`);
+    return lines.join('\n');
+}
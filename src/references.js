@@ -0,0 +1,350 @@
+import { bcv_parser } from "bible-passage-reference-parser/esm/bcv_parser.js";
+import * as lang from "bible-passage-reference-parser/esm/lang/full.js";
+
+// Initialize the Bible reference parser
+export const bcv = new bcv_parser(lang);
+bcv.include_apocrypha(true); // Catholic canon
+bcv.set_options({
+    "book_alone_strategy": "full",
+    "book_range_strategy": "include",
+    "versification_system": "nab", // New American Bible
+    "sequence_combination_strategy": "separate", // Handle sequences like Lk 3:4+6
+    "split_sequence_chars": "+," // Define characters that split sequences
+});
+
+// Books with a single chapter, cited by verse alone ("Jude 17, 20b-25")
+const SINGLE_CHAPTER_BOOKS = ['Obad', 'Phlm', '2John', '3John', 'Jude'];
+
+// A book name at the start of a citation, e.g. "Ps", "1 Cor", "Song of Songs"
+const BOOK_PATTERN = /^((?:[1-4]\s*)?[A-Za-z][A-Za-z.]*(?:\s+(?:of\s+)?[A-Za-z][A-Za-z.]*)*)\s+(?=\d)/;
+
+// One piece of a citation: "5", "4b", "3-4a", "13-53:12", "3:1-7" or "26:14-27:66"
+const PIECE_PATTERN = /^(?:(\d+):)?(\d+)([a-z]*)(?:-(?:(\d+):)?(\d+)([a-z]*))?$/;
+
+const bookCache = new Map();
+
+// Resolve a book name as written in the tables to its OSIS id ("1 Cor" → "1Cor")
+function resolveBook(bookName) {
+    if (!bookCache.has(bookName)) {
+        const osis = bcv.parse(`${bookName} 1`).osis();
+        bookCache.set(bookName, osis ? osis.split(/[.,-]/)[0] : null);
+    }
+    return bookCache.get(bookName);
+}
+
+/**
+ * Parses a citation into the verse ranges it lists, keeping every comma-separated segment
+ * and the partial-verse letters that the Bible parser drops ("3-4a, 4b-5"). Ranges joined
+ * by "+" share a group, so a responsorial psalm keeps its stanzas ("Ps 31:2+6, 12-13" has
+ * two groups). Chapters given after a semicolon apply to the following segments.
+ * @param {string} citation - A single citation such as "Ps 122:1-2, 3-4a, 4b-5"
+ * @returns {Array<object>|null} - The ranges ({book, chapter, verseStart, partStart,
+ *   chapterEnd, verseEnd, partEnd, group}), or null if the citation cannot be parsed
+ */
+export function parseReferenceRanges(citation) {
+    const ranges = [];
+    let book = null;
+    let chapter = null;
+    let group = 0;
+
+    for (const chapterPart of citation.split(';')) {
+        for (const groupPart of chapterPart.split(',')) {
+            group++;
+
+            for (let piece of groupPart.split('+')) {
+                piece = piece.trim();
+
+                // A book name starts the citation or a new book after a semicolon
+                const bookMatch = piece.match(BOOK_PATTERN);
+                if (bookMatch) {
+                    book = resolveBook(bookMatch[1].trim());
+                    chapter = SINGLE_CHAPTER_BOOKS.includes(book) ? 1 : null;
+                    piece = piece.slice(bookMatch[0].length).trim();
+                }
+
+                const match = piece.match(PIECE_PATTERN);
+                if (!book || !match) return null;
+
+                const [, startChapter, startVerse, startPart, endChapter, endVerse, endPart] = match;
+                if (startChapter) {
+                    chapter = parseInt(startChapter);
+                } else if (chapter === null) {
+                    // A chapter without verses ("Ps 23")
+                    if (endChapter || startPart || endPart) return null;
+                    ranges.push({
+                        book,
+                        chapter: parseInt(startVerse),
+                        verseStart: null,
+                        partStart: null,
+                        chapterEnd: parseInt(endVerse || startVerse),
+                        verseEnd: null,
+                        partEnd: null,
+                        group
+                    });
+                    continue;
+                }
+
+                const range = {
+                    book,
+                    chapter,
+                    verseStart: parseInt(startVerse),
+                    partStart: startPart || null,
+                    chapterEnd: endChapter ? parseInt(endChapter) : chapter,
+                    verseEnd: endVerse ? parseInt(endVerse) : parseInt(startVerse),
+                    partEnd: endVerse ? endPart || null : startPart || null,
+                    group
+                };
+
+                // A range that ends in another chapter moves the citation on to that chapter
+                chapter = range.chapterEnd;
+                ranges.push(range);
+            }
+        }
+    }
+
+    return ranges.length > 0 ? ranges : null;
+}
+
+// OSIS id of one end of a range, with its part ("Ps.122.4!a")
+function formatOsisPoint(book, chapter, verse, part) {
+    const osis = verse === null ? `${book}.${chapter}` : `${book}.${chapter}.${verse}`;
+    return part ? `${osis}!${part}` : osis;
+}
+
+/**
+ * Formats ranges as an OSIS reference with one comma-separated entry per range and
+ * "!a"-style parts, e.g. "Ps.122.1-Ps.122.2,Ps.122.3-Ps.122.4!a,Ps.122.4!b-Ps.122.5"
+ * @param {Array<object>} ranges - Ranges from parseReferenceRanges()
+ * @returns {string}
+ */
+export function formatOsisRanges(ranges) {
+    return ranges.map(range => {
+        const start = formatOsisPoint(range.book, range.chapter, range.verseStart, range.partStart);
+        const end = formatOsisPoint(range.book, range.chapterEnd, range.verseEnd, range.partEnd);
+        return start === end ? start : `${start}-${end}`;
+    }).join(',');
+}
+
+// Chapter and verse counts of the NAB versification the references are parsed with
+const VERSIFICATION = bcv.translation_info('nab');
+
+/**
+ * Expands a range into the OSIS ids of its verses ("Luke.15.11"), counting partial verses as
+ * whole verses. Whole chapters and ranges running across chapters take the verse counts of the
+ * NAB versification.
+ * @param {object} range - A range from parseReferenceRanges()
+ * @returns {Array<string>}
+ */
+export function expandRangeVerses(range) {
+    const verses = [];
+    for (let chapter = range.chapter; chapter <= range.chapterEnd; chapter++) {
+        const count = VERSIFICATION.chapters[range.book]?.[chapter - 1] ?? 0;
+        const first = chapter === range.chapter && range.verseStart !== null ? range.verseStart : 1;
+        const last = chapter === range.chapterEnd && range.verseEnd !== null ? range.verseEnd : count;
+        for (let verse = first; verse <= last; verse++) {
+            verses.push(`${range.book}.${chapter}.${verse}`);
+        }
+    }
+    return verses;
+}
+
+/**
+ * The books of the Catholic canon in order, with the number of verses of each chapter in the
+ * NAB versification (the Greek parts of Esther and Daniel are counted in those books)
+ * @returns {Array<{book: string, chapters: Array<number>}>}
+ */
+export function getCanonVerseCounts() {
+    return VERSIFICATION.books
+        .filter(book => BOOK_NAMES[book] && VERSIFICATION.chapters[book])
+        .map(book => ({ book, chapters: [...VERSIFICATION.chapters[book]] }));
+}
+
+/**
+ * Orders OSIS verse ids canonically (by book, chapter and verse)
+ * @param {string} a - e.g. "Gen.1.1"
+ * @param {string} b - e.g. "Matt.5.3"
+ * @returns {number}
+ */
+export function compareVerses(a, b) {
+    const [bookA, chapterA, verseA] = a.split('.');
+    const [bookB, chapterB, verseB] = b.split('.');
+    return (VERSIFICATION.order[bookA] ?? Infinity) - (VERSIFICATION.order[bookB] ?? Infinity) ||
+        chapterA - chapterB || verseA - verseB;
+}
+
+// Book names by OSIS id: USCCB (NABRE) and SBL abbreviations, full English names, and the
+// Spanish abbreviations and names of the Leccionario used in the United States
+const BOOK_NAMES = {
+    'Gen': ['Gn', 'Gen', 'Genesis', 'Gn', 'Génesis'],
+    'Exod': ['Ex', 'Exod', 'Exodus', 'Ex', 'Éxodo'],
+    'Lev': ['Lv', 'Lev', 'Leviticus', 'Lv', 'Levítico'],
+    'Num': ['Nm', 'Num', 'Numbers', 'Nm', 'Números'],
+    'Deut': ['Dt', 'Deut', 'Deuteronomy', 'Dt', 'Deuteronomio'],
+    'Josh': ['Jos', 'Josh', 'Joshua', 'Jos', 'Josué'],
+    'Judg': ['Jgs', 'Judg', 'Judges', 'Jue', 'Jueces'],
+    'Ruth': ['Ru', 'Ruth', 'Ruth', 'Rt', 'Rut'],
+    '1Sam': ['1 Sm', '1 Sam', '1 Samuel', '1 Sm', '1 Samuel'],
+    '2Sam': ['2 Sm', '2 Sam', '2 Samuel', '2 Sm', '2 Samuel'],
+    '1Kgs': ['1 Kgs', '1 Kgs', '1 Kings', '1 Re', '1 Reyes'],
+    '2Kgs': ['2 Kgs', '2 Kgs', '2 Kings', '2 Re', '2 Reyes'],
+    '1Chr': ['1 Chr', '1 Chr', '1 Chronicles', '1 Cr', '1 Crónicas'],
+    '2Chr': ['2 Chr', '2 Chr', '2 Chronicles', '2 Cr', '2 Crónicas'],
+    'Ezra': ['Ezr', 'Ezra', 'Ezra', 'Esd', 'Esdras'],
+    'Neh': ['Neh', 'Neh', 'Nehemiah', 'Neh', 'Nehemías'],
+    'Tob': ['Tb', 'Tob', 'Tobit', 'Tob', 'Tobías'],
+    'Jdt': ['Jdt', 'Jdt', 'Judith', 'Jdt', 'Judit'],
+    'Esth': ['Est', 'Esth', 'Esther', 'Est', 'Ester'],
+    'AddEsth': ['Est', 'Add Esth', 'Esther', 'Est', 'Ester'],
+    '1Macc': ['1 Mc', '1 Macc', '1 Maccabees', '1 Mac', '1 Macabeos'],
+    '2Macc': ['2 Mc', '2 Macc', '2 Maccabees', '2 Mac', '2 Macabeos'],
+    'Job': ['Jb', 'Job', 'Job', 'Job', 'Job'],
+    'Ps': ['Ps', 'Ps', 'Psalm', 'Sal', 'Salmo'],
+    'Prov': ['Prv', 'Prov', 'Proverbs', 'Prov', 'Proverbios'],
+    'Eccl': ['Eccl', 'Eccl', 'Ecclesiastes', 'Ecl', 'Eclesiastés'],
+    'Song': ['Sg', 'Song', 'Song of Songs', 'Cant', 'Cantar de los Cantares'],
+    'Wis': ['Wis', 'Wis', 'Wisdom', 'Sab', 'Sabiduría'],
+    'Sir': ['Sir', 'Sir', 'Sirach', 'Eclo', 'Eclesiástico'],
+    'Isa': ['Is', 'Isa', 'Isaiah', 'Is', 'Isaías'],
+    'Jer': ['Jer', 'Jer', 'Jeremiah', 'Jer', 'Jeremías'],
+    'Lam': ['Lam', 'Lam', 'Lamentations', 'Lam', 'Lamentaciones'],
+    'Bar': ['Bar', 'Bar', 'Baruch', 'Bar', 'Baruc'],
+    'Ezek': ['Ez', 'Ezek', 'Ezekiel', 'Ez', 'Ezequiel'],
+    'Dan': ['Dn', 'Dan', 'Daniel', 'Dn', 'Daniel'],
+    'AddDan': ['Dn', 'Add Dan', 'Daniel', 'Dn', 'Daniel'],
+    'Hos': ['Hos', 'Hos', 'Hosea', 'Os', 'Oseas'],
+    'Joel': ['Jl', 'Joel', 'Joel', 'Jl', 'Joel'],
+    'Amos': ['Am', 'Amos', 'Amos', 'Am', 'Amós'],
+    'Obad': ['Ob', 'Obad', 'Obadiah', 'Abd', 'Abdías'],
+    'Jonah': ['Jon', 'Jonah', 'Jonah', 'Jon', 'Jonás'],
+    'Mic': ['Mi', 'Mic', 'Micah', 'Miq', 'Miqueas'],
+    'Nah': ['Na', 'Nah', 'Nahum', 'Nah', 'Nahúm'],
+    'Hab': ['Hb', 'Hab', 'Habakkuk', 'Hab', 'Habacuc'],
+    'Zeph': ['Zep', 'Zeph', 'Zephaniah', 'Sof', 'Sofonías'],
+    'Hag': ['Hg', 'Hag', 'Haggai', 'Ag', 'Ageo'],
+    'Zech': ['Zec', 'Zech', 'Zechariah', 'Zac', 'Zacarías'],
+    'Mal': ['Mal', 'Mal', 'Malachi', 'Mal', 'Malaquías'],
+    'Matt': ['Mt', 'Matt', 'Matthew', 'Mt', 'Mateo'],
+    'Mark': ['Mk', 'Mark', 'Mark', 'Mc', 'Marcos'],
+    'Luke': ['Lk', 'Luke', 'Luke', 'Lc', 'Lucas'],
+    'John': ['Jn', 'John', 'John', 'Jn', 'Juan'],
+    'Acts': ['Acts', 'Acts', 'Acts of the Apostles', 'Hch', 'Hechos de los Apóstoles'],
+    'Rom': ['Rom', 'Rom', 'Romans', 'Rom', 'Romanos'],
+    '1Cor': ['1 Cor', '1 Cor', '1 Corinthians', '1 Cor', '1 Corintios'],
+    '2Cor': ['2 Cor', '2 Cor', '2 Corinthians', '2 Cor', '2 Corintios'],
+    'Gal': ['Gal', 'Gal', 'Galatians', 'Gál', 'Gálatas'],
+    'Eph': ['Eph', 'Eph', 'Ephesians', 'Ef', 'Efesios'],
+    'Phil': ['Phil', 'Phil', 'Philippians', 'Flp', 'Filipenses'],
+    'Col': ['Col', 'Col', 'Colossians', 'Col', 'Colosenses'],
+    '1Thess': ['1 Thes', '1 Thess', '1 Thessalonians', '1 Tes', '1 Tesalonicenses'],
+    '2Thess': ['2 Thes', '2 Thess', '2 Thessalonians', '2 Tes', '2 Tesalonicenses'],
+    '1Tim': ['1 Tm', '1 Tim', '1 Timothy', '1 Tim', '1 Timoteo'],
+    '2Tim': ['2 Tm', '2 Tim', '2 Timothy', '2 Tim', '2 Timoteo'],
+    'Titus': ['Ti', 'Titus', 'Titus', 'Tit', 'Tito'],
+    'Phlm': ['Phlm', 'Phlm', 'Philemon', 'Flm', 'Filemón'],
+    'Heb': ['Heb', 'Heb', 'Hebrews', 'Heb', 'Hebreos'],
+    'Jas': ['Jas', 'Jas', 'James', 'Sant', 'Santiago'],
+    '1Pet': ['1 Pt', '1 Pet', '1 Peter', '1 Pe', '1 Pedro'],
+    '2Pet': ['2 Pt', '2 Pet', '2 Peter', '2 Pe', '2 Pedro'],
+    '1John': ['1 Jn', '1 John', '1 John', '1 Jn', '1 Juan'],
+    '2John': ['2 Jn', '2 John', '2 John', '2 Jn', '2 Juan'],
+    '3John': ['3 Jn', '3 John', '3 John', '3 Jn', '3 Juan'],
+    'Jude': ['Jude', 'Jude', 'Jude', 'Jds', 'Judas'],
+    'Rev': ['Rv', 'Rev', 'Revelation', 'Ap', 'Apocalipsis']
+};
+
+export const REFERENCE_STYLES = ['usccb', 'sbl', 'full', 'announcement'];
+export const REFERENCE_LANGUAGES = ['en', 'es'];
+
+export const DEFAULT_REFERENCE_STYLE = 'full';
+export const DEFAULT_REFERENCE_LANGUAGE = 'en';
+
+/**
+ * Fills in the default reference style and language and checks that both are known
+ * @param {object} [options]
+ * @param {string} [options.style] - One of REFERENCE_STYLES
+ * @param {string} [options.language] - One of REFERENCE_LANGUAGES
+ * @returns {{style: string, language: string}}
+ */
+export function normalizeReferenceStyle(options = {}) {
+    const style = options.style || DEFAULT_REFERENCE_STYLE;
+    const language = options.language || DEFAULT_REFERENCE_LANGUAGE;
+    if (!REFERENCE_STYLES.includes(style)) {
+        throw new Error(`Unknown reference style "${style}" (expected one of ${REFERENCE_STYLES.join(', ')})`);
+    }
+    if (!REFERENCE_LANGUAGES.includes(language)) {
+        throw new Error(`Unknown reference language "${language}" (expected one of ${REFERENCE_LANGUAGES.join(', ')})`);
+    }
+    return { style, language };
+}
+
+/**
+ * Name of a book in a reference style, e.g. "Is" (usccb), "Isa" (sbl), "Isaiah" (full)
+ * @param {string} book - OSIS book id
+ * @param {string} [style] - One of REFERENCE_STYLES
+ * @param {string} [language] - One of REFERENCE_LANGUAGES
+ * @returns {string} - The name, or the OSIS id of a book without names
+ */
+export function getBookName(book, style = DEFAULT_REFERENCE_STYLE, language = DEFAULT_REFERENCE_LANGUAGE) {
+    const names = BOOK_NAMES[book];
+    if (!names) return book;
+
+    // SBL abbreviations exist in English only; Spanish uses the Leccionario's for both styles
+    const abbreviated = style === 'usccb' || style === 'sbl';
+    if (language === 'es') {
+        return abbreviated ? names[3] : names[4];
+    }
+    return style === 'usccb' ? names[0] : style === 'sbl' ? names[1] : names[2];
+}
+
+/**
+ * Formats ranges as a human-readable citation in one of the reference styles:
+ * - usccb: USCCB abbreviations, "Is 2:1-5", "Ps 122:1-2, 3-4a"
+ * - sbl: SBL abbreviations, "Isa 2:1-5"
+ * - full: full book names, "Isaiah 2:1-5", "1 Corinthians 1:3-9"
+ * - announcement: as announced at the ambo, "Isaiah 2, 1-5", "Psalm 122, 1-2. 3-4a"
+ * @param {Array<object>} ranges - Ranges from parseReferenceRanges()
+ * @param {object} [options]
+ * @param {string} [options.style] - One of REFERENCE_STYLES (defaults to "full")
+ * @param {string} [options.language] - "en" or "es" for the book names (defaults to "en")
+ * @returns {string}
+ */
+export function formatReference(ranges, options = {}) {
+    const { style, language } = normalizeReferenceStyle(options);
+
+    // The announcement style separates chapter and verse with a comma and the
+    // segments of a chapter with a period, as printed in the Lectionary
+    const announcement = style === 'announcement';
+    const chapterVerse = announcement ? ', ' : ':';
+    const segmentSeparator = announcement ? '. ' : ', ';
+
+    let text = '';
+    let book = null;
+    let chapter = null;
+
+    for (const range of ranges) {
+        const start = range.verseStart === null ? '' : `${range.verseStart}${range.partStart || ''}`;
+        const end = range.verseStart === null ? '' : `${range.verseEnd}${range.partEnd || ''}`;
+
+        if (range.book !== book) {
+            text += `${text ? '; ' : ''}${getBookName(range.book, style, language)} ${range.chapter}`;
+            text += start ? `${chapterVerse}${start}` : '';
+        } else if (range.chapter !== chapter) {
+            text += `; ${range.chapter}${start ? `${chapterVerse}${start}` : ''}`;
+        } else {
+            text += `${segmentSeparator}${start}`;
+        }
+
+        if (range.verseStart === null) {
+            text += range.chapterEnd !== range.chapter ? `-${range.chapterEnd}` : '';
+        } else if (range.chapterEnd !== range.chapter) {
+            text += `-${range.chapterEnd}${chapterVerse}${end}`;
+        } else if (end !== start) {
+            text += `-${end}`;
+        }
+
+        book = range.book;
+        chapter = range.chapterEnd;
+    }
+
+    return text;
+}
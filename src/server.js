@@ -0,0 +1,229 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { log } from './log.js';
+import { DEFAULT_LECTIONARY_PATH, loadLectionary, createLookup, getDayCollections, findLectionaryNumber } from './lookup.js';
+import { buildPassageIndex, findPassage } from './passage_index.js';
+
+export const DEFAULT_PORT = 8080;
+export const DEFAULT_HOST = '127.0.0.1';
+
+// How often the lectionary file is checked for a rebuild, in milliseconds
+const RELOAD_INTERVAL = 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+const SUNDAY_CYCLES = ['A', 'B', 'C'];
+const WEEKDAY_CYCLES = ['I', 'II'];
+
+// An error answered with an HTTP status other than 500
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Days of every cycle and section, with the cycle or section they were found in
+function findDays(lectionary, predicate) {
+    return Object.entries(getDayCollections(lectionary)).flatMap(([collection, days]) =>
+        days.filter(predicate).map(day => ({ collection, ...day })));
+}
+
+// Routes as [pattern, handler]; handlers get the lectionary state, the path parameters and the query
+const ROUTES = [
+    [/^\/$/, ({ lectionary }) => ({
+        lectionaryTitle: lectionary.lectionaryTitle,
+        schemaVersion: lectionary.schemaVersion,
+        calendar: lectionary.calendar,
+        routes: [
+            '/days/:identifier',
+            '/cycles/:cycle',
+            '/date/:yyyy-mm-dd',
+            '/romcal/:key',
+            '/numbers/:number',
+            '/search?passage=John+3:16'
+        ]
+    })],
+
+    [/^\/days\/([^/]+)$/, ({ lectionary }, [identifier]) => {
+        const days = findDays(lectionary, day => day.identifier === identifier);
+        if (days.length === 0) {
+            throw new HttpError(404, `No day with identifier "${identifier}"`);
+        }
+        return days;
+    }],
+
+    [/^\/cycles\/([^/]+)$/, ({ lectionary }, [cycle]) => {
+        const key = cycle.toUpperCase();
+        if (SUNDAY_CYCLES.includes(key)) return lectionary.cycles.sundays[key] || [];
+        if (WEEKDAY_CYCLES.includes(key)) return lectionary.cycles.weekdays[key] || [];
+        throw new HttpError(404, `Unknown cycle "${cycle}" (expected one of ${[...SUNDAY_CYCLES, ...WEEKDAY_CYCLES].join(', ')})`);
+    }],
+
+    [/^\/date\/([^/]+)$/, async ({ lookup }, [date]) => {
+        try {
+            return await lookup.lookupDate(date);
+        } catch (error) {
+            if (error.message.startsWith('Invalid date')) throw new HttpError(400, error.message);
+            throw error;
+        }
+    }],
+
+    [/^\/romcal\/([^/]+)$/, ({ lectionary }, [key]) => {
+        const days = findDays(lectionary, day => day.romcalKey === key);
+        if (days.length === 0) {
+            throw new HttpError(404, `No day with romcal key "${key}"`);
+        }
+        return days;
+    }],
+
+    [/^\/numbers\/([^/]+)$/, ({ lectionary }, [number]) => {
+        let found;
+        try {
+            found = findLectionaryNumber(lectionary, number);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        if (found.results.length === 0) {
+            throw new HttpError(404, `No Mass with Lectionary number ${found.number}`);
+        }
+        return found.results;
+    }],
+
+    [/^\/search$/, ({ passageIndex }, params, query) => {
+        if (!query.get('passage')) {
+            throw new HttpError(400, 'Missing "passage" query parameter, e.g. /search?passage=John+3:16');
+        }
+        try {
+            return findPassage(passageIndex, query.get('passage'));
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+    }]
+];
+
+// Whether an If-None-Match header matches an ETag: "*", or a list of entity tags compared
+// weakly (RFC 9110, section 13.1.2), so that W/"x" matches "x"
+function matchesIfNoneMatch(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    const tags = header.match(/(?:W\/)?"[^"]*"/g) || [];
+    return tags.some(tag => tag.replace(/^W\//, '') === etag);
+}
+
+// Send a JSON body with an ETag, or 304 Not Modified if the client already has it
+function sendJson(request, response, status, data) {
+    const body = JSON.stringify(data, null, 2);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const headers = {
+        ...CORS_HEADERS,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'ETag': etag
+    };
+
+    if (status === 200 && matchesIfNoneMatch(request.headers['if-none-match'], etag)) {
+        response.writeHead(304, headers);
+        response.end();
+        return;
+    }
+
+    response.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+    response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Creates an HTTP server answering JSON queries on a generated lectionary. The file is
+ * loaded once and loaded again whenever it is rebuilt.
+ * @param {object} [options]
+ * @param {string} [options.lectionaryPath] - Defaults to output/lectionary.json
+ * @param {string} [options.calendar] - Particular calendar for /date; it and the other
+ *   createLookup() options default to the calendar the lectionary was built with
+ * @returns {http.Server} - The server, not yet listening; closing it stops watching the file
+ */
+export function createServer(options = {}) {
+    const { lectionaryPath = DEFAULT_LECTIONARY_PATH, ...calendarOptions } = options;
+
+    let state = null;
+    function load() {
+        const lectionary = loadLectionary(lectionaryPath);
+        state = {
+            lectionary,
+            lookup: createLookup(lectionary, calendarOptions),
+            passageIndex: buildPassageIndex(lectionary)
+        };
+    }
+    load();
+
+    // A rebuild may be caught half-written; the previous data is served until the file parses
+    fs.watchFile(lectionaryPath, { interval: RELOAD_INTERVAL }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        try {
+            load();
+            log(`Reloaded ${lectionaryPath}`);
+        } catch (error) {
+            console.warn(`Could not reload ${lectionaryPath}: ${error.message}`);
+        }
+    });
+
+    const server = http.createServer(async (request, response) => {
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            sendJson(request, response, 405, { error: `Method ${request.method} not allowed` });
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            for (const [pattern, handler] of ROUTES) {
+                const match = url.pathname.match(pattern);
+                if (!match) continue;
+
+                const params = match.slice(1).map(decodeURIComponent);
+                sendJson(request, response, 200, await handler(state, params, url.searchParams));
+                return;
+            }
+            throw new HttpError(404, `No route for ${url.pathname}`);
+        } catch (error) {
+            // Malformed percent-encoding in the path is the client's error
+            const status = error.status || (error instanceof URIError ? 400 : 500);
+            if (status === 500) {
+                console.error(`${request.method} ${request.url}: ${error.message}`);
+            }
+            sendJson(request, response, status, { error: error.message });
+        }
+    });
+
+    server.on('close', () => fs.unwatchFile(lectionaryPath));
+    return server;
+}
+
+/**
+ * Starts the HTTP server
+ * @param {object} [options] - createServer() options, and:
+ * @param {number} [options.port] - Defaults to 8080
+ * @param {string} [options.host] - Defaults to 127.0.0.1
+ * @returns {Promise<http.Server>} - The listening server
+ */
+export function startServer(options = {}) {
+    const { port = DEFAULT_PORT, host = DEFAULT_HOST, ...serverOptions } = options;
+    const server = createServer(serverOptions);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`Serving ${serverOptions.lectionaryPath || DEFAULT_LECTIONARY_PATH} on http://${host}:${port}/`);
+            resolve(server);
+        });
+    });
+}
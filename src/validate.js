@@ -0,0 +1,113 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'lectionary.schema.json');
+
+export function loadSchema(filePath = SCHEMA_PATH) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Name of the JSON type of a value, distinguishing integers, arrays and null
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Resolve a local reference such as "#/$defs/liturgicalDay"
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference "${ref}"`);
+    }
+
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) {
+            throw new Error(`Unresolved schema reference "${ref}"`);
+        }
+        return node[key];
+    }, rootSchema);
+}
+
+/**
+ * Validates a generated lectionary against the lectionary schema. Only the keywords the
+ * schema uses are supported (type, enum, required, properties, items, $ref, minimum,
+ * pattern), so the check runs offline without a JSON Schema library.
+ * @param {object} lectionary - The lectionary to validate
+ * @param {object} [schema] - The parsed schema (defaults to schemas/lectionary.schema.json)
+ * @returns {Array<{path: string, identifier: string|null, message: string}>} - Every violation found
+ */
+export function validateLectionary(lectionary, schema = loadSchema()) {
+    const violations = [];
+
+    function report(jsonPath, identifier, message) {
+        violations.push({ path: jsonPath, identifier, message });
+    }
+
+    function check(value, node, jsonPath, identifier) {
+        if (node.$ref) {
+            check(value, resolveRef(schema, node.$ref), jsonPath, identifier);
+            return;
+        }
+
+        // Violations inside a liturgical day are reported with the day's identifier
+        if (getJsonType(value) === 'object' && typeof value.identifier === 'string') {
+            identifier = value.identifier;
+        }
+
+        if (node.type) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            if (!types.some(type => matchesType(value, type))) {
+                report(jsonPath, identifier, `expected ${types.join(' or ')}, got ${getJsonType(value)}`);
+                return;
+            }
+        }
+
+        if (node.enum && !node.enum.some(option => option === value)) {
+            report(jsonPath, identifier, `${JSON.stringify(value)} is not one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+            report(jsonPath, identifier, `${value} is less than the minimum of ${node.minimum}`);
+        }
+
+        if (typeof value === 'string' && node.pattern && !new RegExp(node.pattern).test(value)) {
+            report(jsonPath, identifier, `"${value}" does not match the pattern ${node.pattern}`);
+        }
+
+        if (getJsonType(value) === 'object') {
+            for (const key of node.required || []) {
+                if (!(key in value)) {
+                    report(jsonPath, identifier, `missing required property "${key}"`);
+                }
+            }
+
+            for (const [key, propertyNode] of Object.entries(node.properties || {})) {
+                if (key in value) {
+                    check(value[key], propertyNode, `${jsonPath}.${key}`, identifier);
+                }
+            }
+        }
+
+        if (Array.isArray(value) && node.items) {
+            value.forEach((item, index) => check(item, node.items, `${jsonPath}[${index}]`, identifier));
+        }
+    }
+
+    check(lectionary, schema, '$', null);
+    return violations;
+}
+
+// Format a violation as a single line, e.g. "$.cycles.sundays.A[3].season (advent_4_sunday_a): ..."
+export function formatViolation(violation) {
+    const location = violation.identifier ? `${violation.path} (${violation.identifier})` : violation.path;
+    return `${location}: ${violation.message}`;
+}
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildLectionary } from '../src/index.js';
+import { createBuildCache } from '../src/build_cache.js';
+import { getDiagnostics } from '../src/diagnostics.js';
+import { setQuiet } from '../src/log.js';
+
+const HEADER = 'Sunday or Feast - Year,First Reading,Responsorial Psalm,Second Reading,Alleluia,Gospel';
+
+// The Advent table has a citation that cannot be parsed, whose diagnostic a cached build reports again
+const ADVENT = `${HEADER}
+1st Sunday of Advent - A,Isa 2:1-5,"Ps 122:1-2, 3-4a, 4b-5, 6-7, 8-9",Rom 13:11-14,Ps 85:8,Matt 24:37-44
+2nd Sunday of Advent - A,Isa 11:1-10,"Ps 72:1-2, 7-8, 12-13, 17",Rom 15:4-9,Luke 3:4+6,Foo 3:1-12
+`;
+
+const ordinaryTime = gospel => `${HEADER}
+2nd Sunday in Ordinary Time - A,Isa 49:3+5-6,"Ps 40:2+4, 7-8, 8-9, 10",1 Cor 1:1-3,John 1:14a+12a,${gospel}
+`;
+
+function writeInput(inputDir, files) {
+    for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(inputDir, file), content);
+    }
+}
+
+// Build into a directory of its own and return the bytes written and the diagnostics reported
+async function build(directory, inputDir, options) {
+    const outputPath = path.join(directory, 'lectionary.json');
+    await buildLectionary({ inputDir, outputPath, year: 2026, ...options });
+    return {
+        lectionary: fs.readFileSync(outputPath),
+        diagnostics: fs.readFileSync(outputPath.replace(/\.json$/, '.diagnostics.json')),
+        categories: getDiagnostics().map(diagnostic => `${diagnostic.file}:${diagnostic.row} ${diagnostic.category}`)
+    };
+}
+
+test('builds from the cache write the same bytes as a clean build', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lectionary-cache-'));
+    const directories = ['input', 'cache', 'warm', 'incremental', 'restarted', 'clean'].map(name => path.join(root, name));
+    const [inputDir, cacheDir, warmDir, incrementalDir, restartedDir, cleanDir] = directories;
+    directories.forEach(directory => fs.mkdirSync(directory));
+
+    setQuiet(true);
+    try {
+        writeInput(inputDir, { 'Advent_Sundays.csv': ADVENT, 'Ordinary_Sundays.csv': ordinaryTime('John 1:29-34') });
+        const cache = createBuildCache(cacheDir);
+        const warm = await build(warmDir, inputDir, { cache });
+        assert.deepEqual(cache.getStats().parsedFiles.sort(), ['Advent_Sundays.csv', 'Ordinary_Sundays.csv']);
+
+        // One file changes: only it is parsed again, as in watch mode
+        writeInput(inputDir, { 'Ordinary_Sundays.csv': ordinaryTime('John 1:29-34 (diff)') });
+        const incremental = await build(incrementalDir, inputDir, { cache });
+        assert.deepEqual(cache.getStats().parsedFiles, ['Ordinary_Sundays.csv']);
+        assert.deepEqual(cache.getStats().cachedFiles, ['Advent_Sundays.csv']);
+        assert.ok(cache.getStats().reusedCollections.includes('sundays.B'));
+
+        // A new process reads every file from the cache directory
+        const restartedCache = createBuildCache(cacheDir);
+        const restarted = await build(restartedDir, inputDir, { cache: restartedCache });
+        assert.deepEqual(restartedCache.getStats().parsedFiles, []);
+
+        const clean = await build(cleanDir, inputDir, { noCache: true });
+        assert.notDeepEqual(warm.lectionary, clean.lectionary);
+        for (const cached of [incremental, restarted]) {
+            assert.ok(cached.lectionary.equals(clean.lectionary), 'the lectionary differs from a clean build');
+            assert.ok(cached.diagnostics.equals(clean.diagnostics), 'the diagnostics differ from a clean build');
+            assert.deepEqual(cached.categories, clean.categories);
+        }
+
+        // The diagnostic of the unchanged Advent table is reported again from the cache
+        assert.ok(incremental.categories.includes('Advent_Sundays.csv:3 unparsed-reference'));
+    } finally {
+        setQuiet(false);
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLectionaries, formatDiff } from '../src/diff.js';
+
+// A lectionary with one Sunday, whose first reading has the given options
+function createLectionary(firstReading) {
+    const day = {
+        identifier: 'easter_2_sunday_c',
+        name: 'Second Sunday of Easter',
+        romcalKey: 'divine_mercy_sunday',
+        readings: {
+            first_reading: firstReading,
+            responsorial_psalm: [],
+            gospel_acclamation: [],
+            gospel: [{ referenceOsis: 'John.20.19-John.20.31', referenceStandard: 'John 20:19-31', note: null }]
+        }
+    };
+    return { cycles: { sundays: { A: [], B: [], C: [day] }, weekdays: {} } };
+}
+
+const ACTS = { referenceOsis: 'Acts.5.12-Acts.5.16', referenceStandard: 'Acts 5:12-16', note: null };
+
+test('an unchanged option with another reference style is no change', () => {
+    const diff = diffLectionaries(
+        createLectionary([ACTS]),
+        createLectionary([{ ...ACTS, referenceStandard: 'Acts 5, 12-16' }])
+    );
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 0, unchanged: 1 });
+});
+
+test('edition statuses and Vulgate markers are compared', () => {
+    const diff = diffLectionaries(
+        createLectionary([ACTS]),
+        createLectionary([{ ...ACTS, editionStatus: 'changed', vulgate: true }])
+    );
+    assert.equal(diff.summary.changed, 1);
+
+    const [change] = diff.changed[0].readings;
+    assert.equal(change.slot, 'first_reading');
+    assert.deepEqual(change.editions.map(({ before, after }) => [before, after]), [[null, 'changed']]);
+    assert.deepEqual(change.vulgate.map(({ before, after }) => [before, after]), [[false, true]]);
+    assert.match(formatDiff(diff), /first_reading: Vulgate marker of Acts 5:12-16: false -> true/);
+});
+
+test('an option losing its Vulgate marker is a change', () => {
+    const diff = diffLectionaries(
+        createLectionary([{ ...ACTS, vulgate: true }]),
+        createLectionary([ACTS])
+    );
+    const [change] = diff.changed[0].readings;
+    assert.deepEqual(change.vulgate.map(({ before, after }) => [before, after]), [[true, false]]);
+    assert.deepEqual(change.editions, []);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildLectionary } from '../src/index.js';
+import { exportCsv } from '../src/export_csv.js';
+import { setQuiet } from '../src/log.js';
+
+const INPUT_DIR = new URL('../input/', import.meta.url);
+
+// Tables of the kinds that input/ does not have: numbered Triduum readings, Year I/Year II
+// weekdays, the Proper of Saints and undated sections with menus
+const TABLES = {
+    'Triduum_Numbered_Readings.csv': `Feast,Reading 1,Psalm 1,Reading 2,Psalm 2,Epistle,Alleluia Psalm,Gospel
+Easter Vigil in the Holy Night: At the Easter Vigil – ABC,Gen 1:1 – 2:2,"Ps 104:1-2, 5-6, 10+12, 13-14, 24+35",Gen 22:1-18,"Ps 16:5+8, 9-10, 11",Rom 6:3-11,"Ps 118:1-2, 16-17, 22-23","A: Matt 28:1-10
+B: Mark 16:1-7
+C: Luke 24:1-12"
+`,
+    'Ordinary_Weekdays.csv': `Day,First Reading - Year I,Responsorial Psalm - Year I,First Reading - Year II,Responsorial Psalm - Year II,Alleluia Verse,Gospel
+1st Week in Ordinary Time - Mon,Heb 1:1-6,"Ps 97:1+2b, 6+7c, 9",1 Sam 1:1-8,"Ps 116:12-13, 14-17, 18-19",Mark 1:15,Mark 1:14-20
+`,
+    'Proper_of_Saints.csv': `Date and Celebration,First Reading,Responsorial Psalm,Second Reading,Alleluia,Gospel
+08-15 Assumption of the BVM: Vigil Mass,"1 Chr 15:3-4, 15-16; 16:1-2","Ps 132:6-7, 9-10, 13-14",1 Cor 15:54b-57,Luke 11:28,Luke 11:27-28
+07-22 St. Mary Magdalene,Song 3:1-4b,"Ps 63:2, 3-4, 5-6, 8-9",,(no bibl. ref.),"John 20:1-2, 11-18"
+`,
+    'Commons.csv': `Section,First Reading,Responsorial Psalm,Second Reading,Alleluia,Gospel
+Common of Pastors,"Exod 32:7-14
+Deut 10:8-9","Ps 1:1-2, 3, 4+6",Rom 12:3-13,John 10:14,"Matt 16:13-19
+Luke 10:1-9"
+Ritual Masses: Marriage,"1. Gen 1:26-28, 31a
+2. Gen 2:18-24","Ps 33:12+18, 20-21, 22",1 Cor 12:31—13:8a,1 John 4:8+11,Matt 5:1-12a
+`
+};
+
+// The citation as the table wrote it is the only part that the CSV does not give back
+function withoutOriginalReferences(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => key === 'referenceOriginal' ? undefined : item));
+}
+
+test('a lectionary exported to CSV builds back to the same JSON', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lectionary-export-'));
+    const inputDir = path.join(directory, 'input');
+    const csvDir = path.join(directory, 'csv');
+
+    setQuiet(true);
+    try {
+        fs.cpSync(INPUT_DIR, inputDir, { recursive: true });
+        for (const [file, content] of Object.entries(TABLES)) {
+            fs.writeFileSync(path.join(inputDir, file), content);
+        }
+
+        const build = (input, name) => buildLectionary({
+            inputDir: input,
+            outputPath: path.join(directory, name),
+            year: 2026,
+            noCache: true,
+            allowInvalid: true
+        });
+        const original = await build(inputDir, 'original.json');
+        assert.ok(original.properOfSaints.length > 0 && original.commons.length > 0 && original.ritualMasses.length > 0);
+
+        const written = exportCsv(original, csvDir);
+        assert.ok(written.some(file => file.endsWith('Proper_of_Saints.csv')));
+
+        const rebuilt = await build(csvDir, 'rebuilt.json');
+        assert.deepEqual(withoutOriginalReferences(rebuilt), withoutOriginalReferences(original));
+    } finally {
+        setQuiet(false);
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parse } from 'csv-parse/sync';
+import { parseHtmlTableRecords } from '../src/html_tables.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'html');
+
+// Each page of fixtures/html has a CSV file with the same table
+const pages = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html'));
+
+for (const page of pages) {
+    test(`${page} gives the records of its CSV table`, () => {
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, page), 'utf-8');
+        const csv = fs.readFileSync(path.join(FIXTURES_DIR, page.replace(/\.html$/, '.csv')), 'utf-8');
+
+        const records = parseHtmlTableRecords(html).map(({ record }) => record);
+        assert.deepEqual(records, parse(csv, { columns: true, skip_empty_lines: true, trim: true }));
+    });
+}
+
+test('rows are numbered by the line of the page they start on', () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'lent_sundays.html'), 'utf-8');
+    const lines = html.split('\n');
+    const lineOf = text => lines.findIndex(line => line.includes(text)) + 1;
+
+    const rows = parseHtmlTableRecords(html).map(({ row }) => row);
+    assert.equal(rows[0], lineOf('<td>1st Sunday of Lent &ndash; A</td>') - 1);
+    assert.equal(rows[3], lineOf('<td colspan="6">Holy Week</td>'));
+});
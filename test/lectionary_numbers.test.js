@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildLectionary } from '../src/index.js';
+import { getDiagnostics } from '../src/diagnostics.js';
+import { setQuiet } from '../src/log.js';
+
+// The Masses of Palm Sunday and the optional readings of a feast, each pair with one number
+const TABLES = {
+    'Lent_Sundays.csv': `Sunday or Feast - Year,Lectionary Number,First Reading,Responsorial Psalm,Second Reading,Verse before the Gospel,Gospel
+Palm Sunday of the Passion of the Lord: At the Procession with Palms – ABC,37ABC,x,x,x,x,"A: Matt 21:1-11
+B: Mark 11:1-10
+C: Luke 19:28-40"
+Palm Sunday: At the Mass – ABC,37ABC,Isa 50:4-7,"Ps 22:8-9, 17-18, 19-20, 23-24",Phil 2:6-11,Phil 2:8-9,"A: Matt 26:14 – 27:66
+B: Mark 14:1 – 15:47
+C: Luke 22:14 – 23:56"
+`,
+    'Christmas_Sundays_and_Feasts.csv': `Sunday or Feast - Year,Lectionary Number,First Reading,Responsorial Psalm,Second Reading,Alleluia,Gospel
+The Holy Family - B,17B,"Sir 3:2-6, 12-14","Ps 128:1-2, 3, 4-5",Col 3:12-21,Col 3:15a+16a,Luke 2:22-40
+The Holy Family - B (optional),17B,opt: Gen 15:1-6; 21:1-3 (new),"opt: Ps 105:1-2, 3-4, 5-6, 8-9 (new)","opt: Heb 11:8, 11-12, 17-19 (new)",Heb 1:1-2,Luke 2:22-40
+`
+};
+
+test('two Masses of one day may not share a Lectionary number', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lectionary-numbers-'));
+    try {
+        const inputDir = path.join(directory, 'input');
+        fs.mkdirSync(inputDir);
+        for (const [file, content] of Object.entries(TABLES)) {
+            fs.writeFileSync(path.join(inputDir, file), content);
+        }
+
+        setQuiet(true);
+        const lectionary = await buildLectionary({
+            inputDir,
+            outputPath: path.join(directory, 'lectionary.json'),
+            year: 2026,
+            noCache: true,
+            allowInvalid: true
+        });
+
+        const palmSundays = lectionary.cycles.sundays.A.filter(day => day.identifier === 'palm_sunday_a');
+        assert.deepEqual(palmSundays.map(day => day.massType), ['procession', null]);
+        assert.ok(lectionary.cycles.sundays.B.some(day => day.identifier === 'holy_family_optional_b'));
+
+        const clashes = getDiagnostics()
+            .filter(diagnostic => diagnostic.category === 'lectionary-number')
+            .map(({ file, row, identifier }) => ({ file, row, identifier }));
+        assert.deepEqual(clashes.sort((a, b) => a.file.localeCompare(b.file) || a.identifier.localeCompare(b.identifier)), [
+            { file: 'Christmas_Sundays_and_Feasts.csv', row: 3, identifier: 'holy_family_optional_b' },
+            { file: 'Lent_Sundays.csv', row: 5, identifier: 'palm_sunday_a' },
+            { file: 'Lent_Sundays.csv', row: 5, identifier: 'palm_sunday_b' },
+            { file: 'Lent_Sundays.csv', row: 5, identifier: 'palm_sunday_c' }
+        ]);
+    } finally {
+        setQuiet(false);
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
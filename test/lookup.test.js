@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLookup } from '../src/lookup.js';
+
+// A lectionary with only the weekdays of Christmas Time that memorials fall back to
+function createLectionary(romcalKeys) {
+    const weekdays = romcalKeys.map(romcalKey => ({ identifier: `${romcalKey}_ii`, name: romcalKey, romcalKey, readings: {} }));
+    return {
+        calendar: { name: 'united-states', locale: 'en' },
+        cycles: { sundays: { A: [], B: [], C: [] }, weekdays: { I: [], II: weekdays } },
+        properOfSaints: []
+    };
+}
+
+test('memorials of Christmas Time take the readings of the weekday of their date', async () => {
+    const lookup = createLookup(createLectionary([
+        'christmas_octave_day_5', 'christmas_time_january_2', 'monday_after_epiphany'
+    ]));
+
+    // Saints Basil and Gregory, before Epiphany
+    const [basil] = (await lookup.lookupDate('2026-01-02')).celebrations;
+    assert.equal(basil.romcalKey, 'basil_the_great_and_gregory_nazianzen_bishops');
+    assert.equal(basil.displaces, 'christmas_time_january_2');
+    assert.equal(basil.readingsFrom, 'christmas_time_january_2');
+
+    // Saint John Neumann, on the Monday after Epiphany (Sunday, January 4 in the United States)
+    const [neumann] = (await lookup.lookupDate('2026-01-05')).celebrations;
+    assert.equal(neumann.readingsFrom, 'monday_after_epiphany');
+
+    // Saint Thomas Becket, an optional memorial on a day of the Octave
+    const [, becket] = (await lookup.lookupDate('2025-12-29')).celebrations;
+    assert.equal(becket.romcalKey, 'thomas_becket_bishop');
+    assert.equal(becket.readingsFrom, 'christmas_octave_day_5');
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReferenceRanges, formatOsisRanges, expandRangeVerses } from '../src/references.js';
+
+// Citations as the tables write them, with the OSIS ranges, the "+" group of each range and
+// the verses (read whole) that they give
+const CASES = [
+    {
+        name: 'verse segments and partial verses',
+        citation: 'Ps 122:1-2, 3-4a, 4b-5',
+        osis: 'Ps.122.1-Ps.122.2,Ps.122.3-Ps.122.4!a,Ps.122.4!b-Ps.122.5',
+        groups: [1, 2, 3],
+        verses: ['Ps.122.1', 'Ps.122.2', 'Ps.122.3', 'Ps.122.4', 'Ps.122.5']
+    },
+    {
+        name: 'a range across chapters',
+        citation: 'Isa 52:13-53:12',
+        osis: 'Isa.52.13-Isa.53.12',
+        groups: [1],
+        verses: [
+            'Isa.52.13', 'Isa.52.14', 'Isa.52.15',
+            ...Array.from({ length: 12 }, (_, i) => `Isa.53.${i + 1}`)
+        ]
+    },
+    {
+        name: 'a book with one chapter',
+        citation: 'Jude 17, 20b-25',
+        osis: 'Jude.1.17,Jude.1.20!b-Jude.1.25',
+        groups: [1, 2],
+        verses: ['Jude.1.17', 'Jude.1.20', 'Jude.1.21', 'Jude.1.22', 'Jude.1.23', 'Jude.1.24', 'Jude.1.25']
+    },
+    {
+        name: 'verses joined with "+" in one stanza',
+        citation: 'Ps 31:2+6, 12-13',
+        osis: 'Ps.31.2,Ps.31.6,Ps.31.12-Ps.31.13',
+        groups: [1, 1, 2],
+        verses: ['Ps.31.2', 'Ps.31.6', 'Ps.31.12', 'Ps.31.13']
+    },
+    {
+        name: 'a whole chapter',
+        citation: 'Ps 23',
+        osis: 'Ps.23',
+        groups: [1],
+        verses: ['Ps.23.1', 'Ps.23.2', 'Ps.23.3', 'Ps.23.4', 'Ps.23.5', 'Ps.23.6']
+    }
+];
+
+for (const { name, citation, osis, groups, verses } of CASES) {
+    test(`parses ${name}: ${citation}`, () => {
+        const ranges = parseReferenceRanges(citation);
+        assert.ok(ranges, `"${citation}" should parse`);
+        assert.equal(formatOsisRanges(ranges), osis);
+        assert.deepEqual(ranges.map(range => range.group), groups);
+        assert.deepEqual([...new Set(ranges.flatMap(expandRangeVerses))], verses);
+    });
+}
+
+test('keeps the parts of partial verses on the ranges', () => {
+    const [, second, third] = parseReferenceRanges('Ps 122:1-2, 3-4a, 4b-5');
+    assert.deepEqual([second.partStart, second.partEnd], [null, 'a']);
+    assert.deepEqual([third.partStart, third.partEnd], ['b', null]);
+});
+
+test('a chapter past the end of a book has no verses', () => {
+    const ranges = parseReferenceRanges('Gen 99');
+    assert.deepEqual(ranges ? ranges.flatMap(expandRangeVerses) : [], []);
+});